@@ -0,0 +1,266 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { RESTEvents } = require('discord.js');
+const { logWithTimestamp, atomicWriteFile, readJsonWithBackup } = require('./utils');
+const WriteQueue = require('./writeQueue');
+const { CLEANUP_CONCURRENCY } = require('./config');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 2000; // doubled after every failed attempt
+const PROGRESS_INTERVAL = 3000; // at most one progress report this often
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs tasks with at most `concurrency` of them in flight. discord.js already waits out the rate
+// limit of each request; when it reports hitting one, the queue also stops starting new tasks
+// until the limit resets, instead of piling more requests onto the same bucket.
+class RateLimitedQueue {
+    constructor(rest, concurrency) {
+        this.rest = rest;
+        this.concurrency = Math.max(1, concurrency);
+        this.pausedUntil = 0;
+        this.onRateLimited = info => this.pause(info);
+    }
+
+    pause({ timeToReset, method, route, global }) {
+        const until = Date.now() + timeToReset;
+        if (until <= this.pausedUntil) return;
+
+        this.pausedUntil = until;
+        logWithTimestamp(`Rate limited on ${method} ${route}${global ? ' (global)' : ''}, pausing cleanup for ${(timeToReset / 1000).toFixed(1)}s`, 'RATELIMIT');
+    }
+
+    async waitIfPaused() {
+        while (Date.now() < this.pausedUntil) {
+            await sleep(this.pausedUntil - Date.now());
+        }
+    }
+
+    // Retries requests that failed on the network. Rate limits and server errors are already
+    // retried by discord.js itself.
+    async withRetry(task) {
+        for (let attempt = 1; ; attempt++) {
+            await this.waitIfPaused();
+            try {
+                return await task();
+            } catch (error) {
+                if (!RETRYABLE_ERROR_CODES.includes(error.code) || attempt >= MAX_ATTEMPTS) throw error;
+
+                const delay = RETRY_DELAY * 2 ** (attempt - 1);
+                logWithTimestamp(`Cleanup request failed (${error.message}), retrying in ${delay / 1000}s (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`, 'WARN');
+                await sleep(delay);
+            }
+        }
+    }
+
+    // worker must not throw
+    async run(items, worker) {
+        this.rest?.on(RESTEvents.RateLimited, this.onRateLimited);
+        try {
+            let next = 0;
+            const runWorker = async () => {
+                while (next < items.length) {
+                    const item = items[next++];
+                    await this.waitIfPaused();
+                    await worker(item);
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, runWorker));
+        } finally {
+            this.rest?.off(RESTEvents.RateLimited, this.onRateLimited);
+        }
+    }
+}
+
+// Applies thread cleanup plans (see ThreadCleaner.planThreadCleanup), CLEANUP_CONCURRENCY members
+// at a time. Guild members are fetched once per run to check everyone against. Every processed
+// member is checkpointed to CLEANUP_CHECKPOINT_<mainChannelId>.json, and a run a crash or restart
+// interrupted is finished by resume() on the next start.
+//
+// Checkpoint: { startedAt, threads: [{ threadId, threadName, memberCount, checked, removals, outcomes }] }
+// where outcomes maps member IDs to what ThreadCleaner.processRemoval did with them.
+class CleanupEngine {
+    constructor(threadCleaner, options = {}) {
+        this.threadCleaner = threadCleaner;
+        this.client = threadCleaner.client;
+        this.mainChannelId = options.mainChannelId || null;
+        this.concurrency = options.concurrency || CLEANUP_CONCURRENCY;
+        this.checkpoint = null;
+        this.writeQueue = new WriteQueue(() => this.saveCheckpoint());
+    }
+
+    getCheckpointFile() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+        return path.join(__dirname, `CLEANUP_CHECKPOINT_${mainChannelId}.json`);
+    }
+
+    async saveCheckpoint() {
+        if (!this.checkpoint) return;
+        await atomicWriteFile(this.getCheckpointFile(), JSON.stringify(this.checkpoint));
+    }
+
+    async clearCheckpoint() {
+        this.checkpoint = null;
+        await this.writeQueue.drain();
+        await fs.rm(this.getCheckpointFile(), { force: true });
+    }
+
+    // Runs plans to the end. onProgress receives { done, total, removed, relocated, skipped, failed }
+    // now and then, and once at the end. guildMembers, if the plans were just made from them, saves
+    // fetching them again. Returns one result per plan:
+    // { threadId, threadName, memberCount, checked, removed, relocated, skipped, failed }
+    async run(plans, onProgress = () => {}, { guildMembers = null, checkpoint = null } = {}) {
+        this.checkpoint = checkpoint || {
+            startedAt: Date.now(),
+            threads: plans.map(plan => ({
+                threadId: plan.threadId,
+                threadName: plan.threadName,
+                memberCount: plan.memberCount,
+                checked: plan.checked,
+                removals: plan.removals,
+                outcomes: {}
+            }))
+        };
+        await this.writeQueue.push([this.checkpoint]);
+
+        const tasks = [];
+        for (const plan of plans) {
+            const entry = this.checkpoint.threads.find(candidate => candidate.threadId === plan.threadId);
+            for (const removal of entry.removals) {
+                if (!entry.outcomes[removal.memberId]) {
+                    tasks.push({ plan, entry, removal });
+                }
+            }
+        }
+
+        const progress = { done: 0, total: 0, removed: 0, relocated: 0, skipped: 0, failed: 0 };
+        for (const entry of this.checkpoint.threads) {
+            progress.total += entry.removals.length;
+            Object.values(entry.outcomes).forEach(outcome => this.countOutcome(progress, outcome));
+        }
+
+        if (tasks.length > 0) {
+            const members = guildMembers || await this.threadCleaner.fetchGuildMembers(plans[0].thread.guild);
+            const queue = new RateLimitedQueue(this.client.rest, this.concurrency);
+            let lastReport = 0;
+
+            await queue.run(tasks, async ({ plan, entry, removal }) => {
+                let outcome;
+                try {
+                    outcome = await this.threadCleaner.processRemoval(plan, removal, members, task => queue.withRetry(task));
+                } catch (error) {
+                    outcome = { status: 'failed', removal, error: error.message };
+                    logWithTimestamp(`Error removing member ${removal.memberId} from thread ${plan.threadName}: ${error.message}`, 'ERROR');
+                }
+
+                entry.outcomes[removal.memberId] = outcome;
+                this.countOutcome(progress, outcome);
+
+                // A lost checkpoint only means this member is checked again on resume
+                try {
+                    await this.writeQueue.push([outcome]);
+                } catch (error) {
+                    logWithTimestamp(`Error saving thread cleanup checkpoint: ${error.message}`, 'ERROR');
+                }
+
+                if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+                    lastReport = Date.now();
+                    await this.reportProgress(onProgress, progress);
+                }
+            });
+        }
+
+        await this.reportProgress(onProgress, progress);
+        const results = this.checkpoint.threads.map(entry => this.buildResult(entry));
+        await this.clearCheckpoint();
+        return results;
+    }
+
+    // Finishes an interrupted run; returns its results like run(), or null if there was none
+    async resume(onProgress = () => {}) {
+        const checkpoint = await readJsonWithBackup(this.getCheckpointFile(), null);
+        if (!checkpoint) return null;
+
+        const remaining = checkpoint.threads.reduce((count, entry) =>
+            count + entry.removals.filter(removal => !entry.outcomes[removal.memberId]).length, 0);
+        logWithTimestamp(`Resuming thread cleanup started ${new Date(checkpoint.startedAt).toISOString()}, ${remaining} members left`, 'STARTUP');
+
+        const plans = [];
+        for (const entry of checkpoint.threads) {
+            const thread = await this.client.channels.fetch(entry.threadId).catch(() => null);
+            if (thread) {
+                plans.push({ ...entry, thread });
+                continue;
+            }
+
+            for (const removal of entry.removals.filter(candidate => !entry.outcomes[candidate.memberId])) {
+                entry.outcomes[removal.memberId] = { status: 'failed', removal, error: `thread ${entry.threadId} not found` };
+            }
+        }
+
+        return this.run(plans, onProgress, { checkpoint });
+    }
+
+    // A progress report that fails (say the admin's message was deleted) doesn't stop the run
+    async reportProgress(onProgress, progress) {
+        try {
+            await onProgress({ ...progress });
+        } catch (error) {
+            logWithTimestamp(`Error reporting thread cleanup progress: ${error.message}`, 'WARN');
+        }
+    }
+
+    countOutcome(progress, outcome) {
+        progress.done++;
+        if (outcome.status === 'removed') progress.removed++;
+        if (outcome.status === 'skipped') progress.skipped++;
+        if (outcome.status === 'failed' || outcome.relocationError) progress.failed++;
+        if (outcome.notice) progress.relocated++;
+    }
+
+    buildResult(entry) {
+        const result = {
+            threadId: entry.threadId,
+            threadName: entry.threadName,
+            memberCount: entry.memberCount,
+            checked: entry.checked,
+            removed: [],
+            relocated: [],
+            skipped: [],
+            failed: []
+        };
+
+        for (const planned of entry.removals) {
+            const outcome = entry.outcomes[planned.memberId];
+            if (!outcome) continue;
+
+            if (outcome.status === 'skipped') {
+                result.skipped.push(outcome.removal);
+            } else if (outcome.status === 'failed') {
+                result.failed.push({ ...outcome.removal, error: outcome.error });
+            } else {
+                result.removed.push(outcome.removal);
+                if (outcome.notice) {
+                    result.relocated.push({ ...outcome.removal, notice: outcome.notice });
+                }
+                if (outcome.relocationError) {
+                    result.failed.push({ ...outcome.removal, error: `removed, but not moved: ${outcome.relocationError}` });
+                }
+            }
+        }
+        return result;
+    }
+
+    async shutdown() {
+        await this.writeQueue.drain();
+    }
+}
+
+module.exports = CleanupEngine;
\ No newline at end of file
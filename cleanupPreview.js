@@ -0,0 +1,188 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+const { RELOCATE_MEMBERS } = require('./config');
+
+// Plans are kept in memory only: after this long, or a restart, the command has to be run again
+const CONFIRM_TIMEOUT = 300000; // 5 minutes
+const PAGE_SIZE = 15;
+
+// Button custom IDs: cleanup:<page|confirm|cancel>:<planId>[:<page>]
+const CLEANUP_PREFIX = 'cleanup';
+
+const NOTICE_LABELS = {
+    dm: 'told by DM',
+    mention: 'mentioned in the thread',
+    none: 'not notified',
+    failed: "couldn't be notified"
+};
+
+function describeMember(removal) {
+    return `<@${removal.memberId}>${removal.tag ? ` (${removal.tag})` : ''}`;
+}
+
+function describeRemoval(removal, planned = false) {
+    const member = describeMember(removal);
+    if (removal.reason === 'left server') {
+        return `${member}: left server`;
+    }
+    const tier = removal.tierIndex === -1
+        ? 'has no tier role'
+        : `belongs in ${removal.tierName || `tier ${removal.tierIndex}`}${removal.correctThreadId ? ` (<#${removal.correctThreadId}>)` : ''}`;
+    const move = planned && RELOCATE_MEMBERS && removal.correctThreadId ? ', will be moved there' : '';
+    return `${member}: incorrect role, ${tier}${move}`;
+}
+
+function describeRelocation(relocation) {
+    return `${describeMember(relocation)} → <#${relocation.correctThreadId}> (${NOTICE_LABELS[relocation.notice]})`;
+}
+
+function planComponents(planId, page, pageCount, disabled = false) {
+    const rows = [];
+    if (pageCount > 1) {
+        rows.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${CLEANUP_PREFIX}:page:${planId}:${page - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || page === 0),
+            new ButtonBuilder()
+                .setCustomId(`${CLEANUP_PREFIX}:page:${planId}:${page + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled || page >= pageCount - 1)
+        ));
+    }
+    rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${CLEANUP_PREFIX}:confirm:${planId}`)
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId(`${CLEANUP_PREFIX}:cancel:${planId}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled)
+    ));
+    return rows;
+}
+
+// Thread cleanup from a command: the plan from ThreadCleaner.planThreadCleanup is shown first,
+// a page of members at a time, and only the admin who asked can confirm it. The report afterwards
+// lists who was actually removed, who was moved to their tier thread, who was kept because they
+// no longer needed removing, and failures.
+class CleanupPreview {
+    constructor(threadCleaner) {
+        this.threadCleaner = threadCleaner;
+        this.plans = new Map(); // planId -> { id, userId, plan, expiresAt }
+        this.nextPlanId = 1;
+    }
+
+    // Returns the message payload showing the plan; throws if the thread can't be planned
+    async prepare(requestedBy, threadId) {
+        const plan = await this.threadCleaner.planThreadCleanup(threadId);
+        if (plan.removals.length === 0) {
+            return { content: `All ${plan.checked} members of <#${threadId}> belong there, nobody to remove.` };
+        }
+
+        const preview = {
+            id: this.nextPlanId++,
+            userId: requestedBy.id,
+            plan,
+            expiresAt: Date.now() + CONFIRM_TIMEOUT
+        };
+        this.plans.set(preview.id, preview);
+        setTimeout(() => this.plans.delete(preview.id), CONFIRM_TIMEOUT).unref?.();
+
+        return this.buildPlanMessage(preview, 0);
+    }
+
+    buildPlanMessage(preview, page, disabled = false) {
+        const { plan } = preview;
+        const pageCount = Math.ceil(plan.removals.length / PAGE_SIZE);
+        const shown = plan.removals.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+        const embed = new EmbedBuilder()
+            .setColor('#ff9900')
+            .setTitle(`Thread Cleanup Plan: ${plan.threadName}`)
+            .setDescription([
+                `${plan.removals.length} of ${plan.checked} members would be removed from <#${plan.threadId}>:`,
+                '',
+                ...shown.map(removal => describeRemoval(removal, true))
+            ].join('\n').substring(0, 4096))
+            .setFooter({ text: `Page ${page + 1} of ${pageCount} · Confirm within ${CONFIRM_TIMEOUT / 60000} minutes` });
+        if (this.threadCleaner.moderationActions.dryRun) {
+            embed.addFields({ name: 'Dry run', value: 'Confirming only logs the removals and moves' });
+        }
+
+        return { content: '', embeds: [embed], components: planComponents(preview.id, page, pageCount, disabled) };
+    }
+
+    buildReportEmbed(plan, result) {
+        const sections = [
+            [`${this.threadCleaner.removedLabel()} (${result.removed.length})`, result.removed.map(describeRemoval)],
+            [`Moved to their tier thread (${result.relocated.length})`, result.relocated.map(describeRelocation)],
+            [`Kept, no longer needed removing (${result.skipped.length})`, result.skipped.map(describeMember)],
+            [`Failed (${result.failed.length})`, result.failed.map(removal => `${describeRemoval(removal)} (${removal.error})`)]
+        ].filter(([, lines]) => lines.length > 0);
+
+        return new EmbedBuilder()
+            .setColor(result.failed.length > 0 ? '#ff0000' : '#00cc66')
+            .setTitle(`Thread Cleanup Report: ${plan.threadName}`)
+            .setDescription(`Checked ${plan.checked} members of <#${plan.threadId}>.`)
+            .addFields(sections.map(([name, lines]) => ({
+                name,
+                value: lines.join('\n').length > 1024
+                    ? lines.join('\n').substring(0, 1000).replace(/\n[^\n]*$/, '') + '\n...'
+                    : lines.join('\n')
+            })))
+            .setTimestamp();
+    }
+
+    // Routes the buttons of this module; returns false for interactions it doesn't own
+    async handleInteraction(interaction) {
+        if (!interaction.isButton()) return false;
+
+        const [prefix, action, planId, page] = interaction.customId.split(':');
+        if (prefix !== CLEANUP_PREFIX) return false;
+
+        try {
+            const preview = this.plans.get(parseInt(planId));
+            if (!preview || preview.expiresAt < Date.now()) {
+                await interaction.update({ content: 'This cleanup plan expired, run the command again.', embeds: [], components: [] });
+                return true;
+            }
+            if (interaction.user.id !== preview.userId) {
+                await interaction.reply({ content: 'Only the administrator who ran the command can use these buttons.', ephemeral: true });
+                return true;
+            }
+
+            if (action === 'page') {
+                await interaction.update(this.buildPlanMessage(preview, parseInt(page)));
+                return true;
+            }
+
+            // Take it out before running it, so a second click can't run it twice
+            this.plans.delete(preview.id);
+            if (action !== 'confirm') {
+                await interaction.update({ content: 'Cleanup cancelled, nobody was removed.', embeds: [], components: [] });
+                return true;
+            }
+
+            await interaction.update({ content: `Removing ${preview.plan.removals.length} members, this may take a moment...`, components: [] });
+            const result = await this.threadCleaner.cleanSpecificThread(preview.plan.threadId, preview.plan, progress =>
+                interaction.editReply({ content: `Removing members: ${progress.done} of ${progress.total} done, ${progress.removed} removed, ${progress.failed} failed...` }));
+            await interaction.editReply(result
+                ? { content: '', embeds: [this.buildReportEmbed(preview.plan, result)] }
+                : { content: `Thread cleanup for <#${preview.plan.threadId}> didn't run, another cleanup may be in progress. Check the logs.`, embeds: [] });
+            logWithTimestamp(`Thread cleanup plan for ${preview.plan.threadName} confirmed by ${interaction.user.tag} (${interaction.user.id})`, 'INFO');
+        } catch (error) {
+            logWithTimestamp(`Error handling ${interaction.customId}: ${error.message}`, 'ERROR');
+            const reply = { content: 'An error occurred while processing this: ' + error.message, ephemeral: true };
+            await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+        }
+        return true;
+    }
+}
+
+module.exports = CleanupPreview;
\ No newline at end of file
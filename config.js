@@ -1,25 +1,100 @@
-require('dotenv').config();
-
-// Database timeout configuration
-const DB_TIMEOUT_MINUTES = parseInt(process.env.DB_TIMEOUT) || 1; // Default to 1 minute
-const DB_TIMEOUT = DB_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
-
-// Rate limiting configuration
-const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5; // Default to 5 requests
-const RATE_LIMIT_COOLDOWN = parseInt(process.env.RATE_LIMIT_COOLDOWN) || 1000; // Default to 1 second
-
-// URL duplication age threshold (in minutes)
-const THRESHOLD_DUPE_AGE = parseInt(process.env.THRESHOLD_DUPE_AGE) || 60; // Default to 60 minutes if not specified
-
-// Member tracker configuration
-const MAX_MEMBERS = parseInt(process.env.MAX_MEMBERS) || 100; // Default to 100 members
-const MEMBER_CHECK_FREQUENCY = parseInt(process.env.MEMBER_CHECK_FREQUENCY) || 300000; // Default to 5 minutes (300000 ms)
-
-module.exports = {
-    DB_TIMEOUT,
-    RATE_LIMIT_MAX_REQUESTS,
-    RATE_LIMIT_COOLDOWN,
-    THRESHOLD_DUPE_AGE,
-    MAX_MEMBERS,
-    MEMBER_CHECK_FREQUENCY
+require('dotenv').config();
+
+// Database timeout configuration
+const DB_TIMEOUT_MINUTES = parseInt(process.env.DB_TIMEOUT) || 1; // Default to 1 minute
+const DB_TIMEOUT = DB_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
+
+// Bot notices about removed messages are deleted after this many seconds (0 keeps them).
+// Notices with a report button are always kept so the button can be used.
+const AUTO_DELETE_TIMER_SECONDS = parseInt(process.env.AUTO_DELETE_TIMER) || 30; // Default to 30 seconds
+const AUTO_DELETE_TIMER = AUTO_DELETE_TIMER_SECONDS * 1000; // Convert to milliseconds
+
+// Rate limiting configuration
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5; // Default to 5 requests
+const RATE_LIMIT_COOLDOWN = parseInt(process.env.RATE_LIMIT_COOLDOWN) || 1000; // Default to 1 second
+
+// URL duplication age threshold (in minutes)
+const THRESHOLD_DUPE_AGE = parseInt(process.env.THRESHOLD_DUPE_AGE) || 60; // Default to 60 minutes if not specified
+
+// URL storage backend: 'json' (snapshot + journal file) or 'sqlite'. SQLite needs the
+// better-sqlite3 package, which isn't installed with the bot: run `npm install better-sqlite3`
+// first (it builds a native module, so a compiler may be needed where no prebuilt binary exists).
+// Existing JSON data is imported with `node migrateJsonToSqlite.js`.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').trim().toLowerCase(); // Default to JSON
+
+// URL storage journal compaction: rewrite the snapshot after this many journal entries,
+// or on this interval (in minutes) if anything was journaled since the last compaction
+const JOURNAL_COMPACT_THRESHOLD = parseInt(process.env.JOURNAL_COMPACT_THRESHOLD) || 1000; // Default to 1000 entries
+const JOURNAL_COMPACT_INTERVAL_MINUTES = parseInt(process.env.JOURNAL_COMPACT_INTERVAL) || 60; // Default to 60 minutes
+const JOURNAL_COMPACT_INTERVAL = JOURNAL_COMPACT_INTERVAL_MINUTES * 60 * 1000; // Convert to milliseconds
+
+// Link policy rules file, relative to the bot directory (see linkPolicy.js)
+const LINK_POLICY_FILE = process.env.LINK_POLICY_FILE || 'link_policy.json'; // Default to link_policy.json
+
+// Tier roles and threads file, relative to the bot directory (see tierRegistry.js)
+const TIERS_FILE = process.env.TIERS_FILE || 'tiers.json'; // Default to tiers.json
+
+// Moderator override of a refused duplicate: reacting with this emoji accepts the submission,
+// sharing or transferring the URL as set here ('share' or 'transfer'; !override can pick either)
+const OVERRIDE_EMOJI = process.env.OVERRIDE_EMOJI || '✅'; // Default to ✅
+const OVERRIDE_REACTION_MODE = process.env.OVERRIDE_REACTION_MODE === 'transfer' ? 'transfer' : 'share'; // Default to share
+
+// Channel where members' "This is a mistake" reports are posted for review (see reviewQueue.js);
+// warnings get no report button when it isn't set
+const REVIEW_CHANNEL_ID = process.env.REVIEW_CHANNEL_ID || null;
+
+// Keep the !fetch links and !cleanup thread text commands next to their slash commands
+const LEGACY_COMMANDS = (process.env.LEGACY_COMMANDS || 'true').trim().toLowerCase() !== 'false'; // Default to enabled
+
+// Shadow mode: the bot decides as usual but only logs what it would do instead of removing,
+// replying to or reacting to messages and removing thread members (see moderationActions.js).
+// Single link policy rules can be shadowed with "dryRun": true.
+const DRY_RUN = (process.env.DRY_RUN || 'false').trim().toLowerCase() === 'true'; // Default to disabled
+
+// Members the thread cleaner removes for having the wrong tier role are added to the thread of
+// their highest role and told about the move: by 'dm' (falling back to a mention when their DMs are
+// closed), by 'mention' in the new thread, or 'none'. {member}, {from} and {to} in the message
+// are replaced with the member and the two threads.
+const RELOCATE_MEMBERS = (process.env.RELOCATE_MEMBERS || 'true').trim().toLowerCase() !== 'false'; // Default to enabled
+const RELOCATION_NOTICE = ['dm', 'mention', 'none'].includes(process.env.RELOCATION_NOTICE) ? process.env.RELOCATION_NOTICE : 'dm'; // Default to dm
+const RELOCATION_MESSAGE = process.env.RELOCATION_MESSAGE ||
+    "{member}, you've been moved from {from} to {to}, the thread that matches your highest role. Please post your submissions there from now on.";
+
+// Tier thread membership follows role changes as they happen (see tierSync.js), once a member's
+// roles have stopped changing for TIER_SYNC_DELAY seconds
+const TIER_SYNC = (process.env.TIER_SYNC || 'true').trim().toLowerCase() !== 'false'; // Default to enabled
+const TIER_SYNC_DELAY_SECONDS = parseInt(process.env.TIER_SYNC_DELAY) || 10; // Default to 10 seconds
+const TIER_SYNC_DELAY = TIER_SYNC_DELAY_SECONDS * 1000; // Convert to milliseconds
+
+// How many members the thread cleaner removes at once (see cleanupEngine.js)
+const CLEANUP_CONCURRENCY = parseInt(process.env.CLEANUP_CONCURRENCY) || 3; // Default to 3
+
+// Member tracker configuration
+const MAX_MEMBERS = parseInt(process.env.MAX_MEMBERS) || 100; // Default to 100 members
+const MEMBER_CHECK_FREQUENCY = parseInt(process.env.MEMBER_CHECK_FREQUENCY) || 300000; // Default to 5 minutes (300000 ms)
+
+module.exports = {
+    DB_TIMEOUT,
+    AUTO_DELETE_TIMER,
+    RATE_LIMIT_MAX_REQUESTS,
+    RATE_LIMIT_COOLDOWN,
+    THRESHOLD_DUPE_AGE,
+    STORAGE_BACKEND,
+    JOURNAL_COMPACT_THRESHOLD,
+    JOURNAL_COMPACT_INTERVAL,
+    LINK_POLICY_FILE,
+    TIERS_FILE,
+    OVERRIDE_EMOJI,
+    OVERRIDE_REACTION_MODE,
+    REVIEW_CHANNEL_ID,
+    LEGACY_COMMANDS,
+    DRY_RUN,
+    RELOCATE_MEMBERS,
+    RELOCATION_NOTICE,
+    RELOCATION_MESSAGE,
+    TIER_SYNC,
+    TIER_SYNC_DELAY,
+    CLEANUP_CONCURRENCY,
+    MAX_MEMBERS,
+    MEMBER_CHECK_FREQUENCY
 };
\ No newline at end of file
@@ -1,761 +1,1382 @@
-require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder, Partials, ChannelType } = require('discord.js');
-const UrlStorage = require('./urlStore');  // Changed to UrlStorage
-const UrlTracker = require('./urlTracker');
-const ThreadCleaner = require('./scheduler'); // Add the ThreadCleaner
-const { logWithTimestamp } = require('./utils');
-const { DB_TIMEOUT, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_COOLDOWN } = require('./config');
-
-const client = new Client({
-    intents: [
-        GatewayIntentBits.Guilds,
-        GatewayIntentBits.GuildMessages,
-        GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildMembers,
-    ],
-    partials: [Partials.Message, Partials.Channel, Partials.User]
-});
-
-// Constants
-const MAX_TEXT_LENGTH = 200;
-const ERROR_COLOR = '#f2b518';
-const AUTO_DELETE_TIMER_SECONDS = parseInt(process.env.AUTO_DELETE_TIMER) || 30;
-const AUTO_DELETE_TIMER = AUTO_DELETE_TIMER_SECONDS * 1000;
-const URL_CHECK_TIMEOUT = parseInt(process.env.URL_CHECK_TIMEOUT) || 5000;
-const MAX_FETCH_RETRIES = 3;
-const CACHE_CLEANUP_INTERVAL = 300000; // 5 minutes
-const THREAD_CACHE_TTL = 3600000; // 1 hour
-const URL_HISTORY_LIMIT = 10;
-const THREAD_CLEANUP_SCHEDULE = process.env.THREAD_CLEANUP_SCHEDULE || '0 */6 * * *'; // Default to every 6 hours
-
-// Rate limiting and caching
-const rateLimitMap = new Map();
-const threadNameCache = new Map(); // Stores {threadId: {name: string, timestamp: number, pendingOps: number}}
-
-function checkRateLimit(userId) {
-    const now = Date.now();
-    const userRateLimit = rateLimitMap.get(userId) || { timestamp: now, count: 0 };
-    
-    if (now - userRateLimit.timestamp > RATE_LIMIT_COOLDOWN) {
-        userRateLimit.timestamp = now;
-        userRateLimit.count = 1;
-    } else {
-        userRateLimit.count++;
-        if (userRateLimit.count > RATE_LIMIT_MAX_REQUESTS) {
-            logWithTimestamp(`Rate limit hit for user ID: ${userId}`, 'RATELIMIT');
-            return true;
-        }
-    }
-    
-    rateLimitMap.set(userId, userRateLimit);
-    return false;
-}
-
-function findHighestRole(memberRoles) {
-    for (let i = 5; i >= 0; i--) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        if (memberRoles.has(roleId)) {
-            return i;
-        }
-    }
-    return -1;
-}
-
-async function validateEnvironmentVariables() {
-    const requiredVariables = [
-        'DISCORD_TOKEN',
-        'MAIN_CHANNEL_ID',
-        'AUTO_DELETE_TIMER',
-        'DB_TIMEOUT',
-        ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-        ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
-    ];
-
-    const missingVariables = requiredVariables.filter(varName => !process.env[varName]);
-    if (missingVariables.length > 0) {
-        logWithTimestamp(`Missing environment variables: ${missingVariables.join(', ')}`, 'ERROR');
-        process.exit(1);
-    }
-
-    const idVariables = [
-        'MAIN_CHANNEL_ID',
-        ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-        ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
-    ];
-
-    idVariables.forEach(varName => {
-        const value = process.env[varName];
-        if (value && !/^\d+$/.test(value)) {
-            logWithTimestamp(`Invalid Discord ID format for ${varName}: ${value}`, 'ERROR');
-            process.exit(1);
-        }
-    });
-
-    if (isNaN(parseInt(process.env.AUTO_DELETE_TIMER)) || parseInt(process.env.AUTO_DELETE_TIMER) < 0) {
-        logWithTimestamp('Invalid AUTO_DELETE_TIMER value. Must be a positive number.', 'ERROR');
-        process.exit(1);
-    }
-
-    if (isNaN(parseInt(process.env.DB_TIMEOUT)) || parseInt(process.env.DB_TIMEOUT) < 0) {
-        logWithTimestamp('Invalid DB_TIMEOUT value. Must be a positive number.', 'ERROR');
-        process.exit(1);
-    }
-    
-    // Check thread cleanup schedule format if provided
-    if (process.env.THREAD_CLEANUP_SCHEDULE) {
-        try {
-            const cron = require('node-cron');
-            if (!cron.validate(process.env.THREAD_CLEANUP_SCHEDULE)) {
-                logWithTimestamp(`Invalid cron expression for THREAD_CLEANUP_SCHEDULE: ${process.env.THREAD_CLEANUP_SCHEDULE}`, 'ERROR');
-                process.exit(1);
-            }
-        } catch (error) {
-            logWithTimestamp(`Error validating THREAD_CLEANUP_SCHEDULE: ${error.message}`, 'ERROR');
-            process.exit(1);
-        }
-    }
-    
-    // Add logging for command permission configuration
-    logWithTimestamp('Command access restricted to server administrators only', 'CONFIG');
-    logWithTimestamp(`Last updated: 2025-04-16 13:59:46 UTC by noname9006`, 'INFO');
-}
-
-function hasCommandPermission(member) {
-    // Only allow users with Administrator permission
-    return member.permissions.has('Administrator');
-}
-
-function checkBotPermissions(guild, channel) {
-    const botMember = guild.members.cache.get(client.user.id);
-    if (!botMember) {
-        logWithTimestamp('Bot member not found in guild', 'ERROR');
-        return false;
-    }
-
-    const requiredPermissions = [
-        'ViewChannel',
-        'SendMessages',
-        'ManageMessages',
-        'EmbedLinks'
-    ];
-
-    const missingPermissions = requiredPermissions.filter(perm => !botMember.permissions.has(perm));
-    if (missingPermissions.length > 0) {
-        logWithTimestamp(`Missing permissions in ${channel.name}: ${missingPermissions.join(', ')}`, 'ERROR');
-        return false;
-    }
-
-    return true;
-}
-
-const roleToThread = new Map();
-const threadToRole = new Map();
-
-function initializeMappings() {
-    for (let i = 0; i <= 5; i++) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        const threadId = process.env[`THREAD_${i}_ID`];
-        roleToThread.set(roleId, threadId);
-        threadToRole.set(threadId, roleId);
-    }
-}
-
-const ignoredRoles = new Set(
-    process.env.IGNORED_ROLES
-        ? process.env.IGNORED_ROLES.split(',').map(role => role.trim())
-        : []
-);
-
-async function fetchAllMessagesWithPagination(channel, limit = 5000) {
-    const allMessages = new Map();
-    let lastId = null;
-    let remaining = limit;
-    let fetchCount = 0;
-    
-    logWithTimestamp(`Starting paginated message fetch for ${channel.id} (limit: ${limit})`, 'INFO');
-    
-    while (remaining > 0) {
-        const options = { limit: Math.min(100, remaining) };
-        if (lastId) {
-            options.before = lastId;
-        }
-        
-        try {
-            fetchCount++;
-            const messages = await channel.messages.fetch(options);
-            
-            if (messages.size === 0) {
-                logWithTimestamp(`No more messages found after ${allMessages.size} messages`, 'INFO');
-                break;
-            }
-            
-            // Add all fetched messages to our collection
-            for (const [id, message] of messages) {
-                allMessages.set(id, message);
-            }
-            
-            // Update the lastId for pagination
-            lastId = messages.last().id;
-            remaining -= messages.size;
-            
-            logWithTimestamp(`Fetched page ${fetchCount}: ${messages.size} messages (total: ${allMessages.size})`, 'INFO');
-            
-            // If we got fewer messages than requested, we've reached the end
-            if (messages.size < Math.min(100, remaining + messages.size)) {
-                break;
-            }
-            
-            // Optional: Add a small delay to avoid rate limits
-            if (remaining > 0) {
-                await new Promise(resolve => setTimeout(resolve, 250));
-            }
-        } catch (error) {
-            logWithTimestamp(`Error fetching messages (page ${fetchCount}): ${error.message}`, 'ERROR');
-            // Try to continue with next page despite errors
-            if (allMessages.size > 0) {
-                const lastMessage = Array.from(allMessages.values()).pop();
-                lastId = lastMessage.id;
-                continue;
-            } else {
-                break;
-            }
-        }
-    }
-    
-    logWithTimestamp(`Completed message fetch: ${allMessages.size} total messages`, 'INFO');
-    return allMessages;
-}
-
-async function getThreadName(threadId) {
-    const cacheEntry = threadNameCache.get(threadId);
-    if (cacheEntry) {
-        cacheEntry.pendingOps++;
-        return {
-            name: cacheEntry.name,
-            done: () => {
-                const entry = threadNameCache.get(threadId);
-                if (entry) {
-                    entry.pendingOps--;
-                }
-            }
-        };
-    }
-
-    try {
-        const channel = await client.channels.fetch(threadId);
-        if (!channel) {
-            return { name: threadId, done: () => {} };
-        }
-        
-        threadNameCache.set(threadId, {
-            name: channel.name,
-            timestamp: Date.now(),
-            pendingOps: 1
-        });
-        
-        return {
-            name: channel.name,
-            done: () => {
-                const entry = threadNameCache.get(threadId);
-                if (entry) {
-                    entry.pendingOps--;
-                }
-            }
-        };
-    } catch (error) {
-        logWithTimestamp(`Error fetching thread ${threadId}: ${error.message}`, 'ERROR');
-        return { name: threadId, done: () => {} };
-    }
-}
-
-async function isMessageInForumPost(message) {
-    try {
-        const channel = message.channel;
-        if (!channel.isThread()) return false;
-        
-        const parent = await channel.parent?.fetch();
-        return parent?.id === process.env.MAIN_CHANNEL_ID &&
-               parent?.type === ChannelType.GuildForum;
-    } catch (error) {
-        logWithTimestamp(`Error checking forum post: ${error.message}`, 'ERROR');
-        return false;
-    }
-}
-
-async function checkMessageExists(message, retries = 0) {
-    try {
-        return await message.channel.messages.fetch(message.id)
-            .then(() => true)
-            .catch(async (error) => {
-                if (retries < MAX_FETCH_RETRIES && error.code === 'NETWORK_ERROR') {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    return checkMessageExists(message, retries + 1);
-                }
-                return false;
-            });
-    } catch {
-        return false;
-    }
-}
-
-async function handleWrongThread(message, correctThreadId) {
-    const hasAttachments = message.attachments.size > 0;
-    let embedDescription = hasAttachments 
-        ? 'User uploaded file(s)'
-        : message.content.length > MAX_TEXT_LENGTH
-            ? message.content.substring(0, MAX_TEXT_LENGTH) + '...'
-            : message.content || 'No content';
-
-    const errorEmbed = new EmbedBuilder()
-        .setColor(ERROR_COLOR)
-        .setDescription(`${message.author}, please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.`)
-        .addFields(
-            {
-                name: "Here's the right one for you:",
-                value: `<#${correctThreadId}>`
-            },
-            { 
-                name: 'Your message content:', 
-                value: embedDescription
-            }
-        )
-        .setFooter({
-            text: 'Botanix Labs',
-            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-        })
-        .setTimestamp();
-
-    try {
-        const replyMessage = await message.reply({ embeds: [errorEmbed] });
-        if (message.deletable) {
-            await message.delete();
-        }
-
-        if (AUTO_DELETE_TIMER > 0) {
-            setTimeout(async () => {
-                try {
-                    if (replyMessage.deletable) {
-                        await replyMessage.delete();
-                    }
-                } catch (error) {
-                    logWithTimestamp(`Error deleting reply: ${error.message}`, 'ERROR');
-                }
-            }, AUTO_DELETE_TIMER);
-        }
-    } catch (error) {
-        logWithTimestamp(`Error handling wrong thread: ${error.message}`, 'ERROR');
-        if (message.deletable) {
-            await message.delete().catch(() => {});
-        }
-    }
-}
-
-async function handleFetchLinksCommand(message) {
-    try {
-        // Permission check remains the same
-        if (!hasCommandPermission(message.member)) {
-            const embed = new EmbedBuilder()
-                .setColor(ERROR_COLOR)
-                .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
-                .setFooter({
-                    text: 'Botanix Labs',
-                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                })
-            
-            await message.reply({ embeds: [embed] });
-            logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
-            return;
-        }
-
-        // Command format check remains the same
-        const args = message.content.split(' ');
-        
-        // Enhanced command options
-        let channelId;
-        let messageLimit = 5000; // Default limit
-        
-        if (args.length < 3) {
-            await message.reply('Usage: !fetch links <channel_id> [message_limit]');
-            return;
-        }
-        
-        channelId = args[2];
-        
-        // Optional message limit parameter
-        if (args.length >= 4 && !isNaN(parseInt(args[3]))) {
-            messageLimit = Math.min(1000, parseInt(args[3])); // Cap at 1000 for safety
-        }
-        
-        const processingMsg = await message.reply(`Processing... Fetching up to ${messageLimit} messages from <#${channelId}>`);
-        
-        const targetChannel = await client.channels.fetch(channelId).catch(() => null);
-        if (!targetChannel) {
-            await processingMsg.edit('Channel not found or bot has no access to it.');
-            return;
-        }
-
-        logWithTimestamp(`Fetching URLs from channel ${channelId} (limit: ${messageLimit})`, 'INFO');
-        
-        // Get stored URLs
-        const storedUrls = await urlStore.getUrls(channelId);
-        const storedUrlMap = new Map(); // Create a map for quick duplicate checking
-        
-        // Create a map of existing URLs for efficient lookup
-        storedUrls.forEach(url => {
-            const key = `${url.messageId}_${url.url.trim()}`;
-            storedUrlMap.set(key, url);
-        });
-        
-        // Array to hold newly discovered URLs
-        let newUrls = [];
-        let fetchedUrls = 0;
-        
-        // Then fetch new URLs with pagination
-        if (targetChannel.type === ChannelType.GuildForum) {
-            const threads = await targetChannel.threads.fetch();
-            
-            for (const [threadId, thread] of threads.threads) {
-                // Use our new pagination function instead of the simple fetch
-                const messages = await fetchAllMessagesWithPagination(thread, messageLimit);
-                
-                messages.forEach(msg => {
-                    if (msg.author.bot) return;
-                    
-                    const foundUrls = msg.content.match(urlTracker.urlRegex);
-                    if (foundUrls) {
-                        fetchedUrls += foundUrls.length;
-                        const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                        foundUrls.forEach(url => {
-                            // Normalize URL by adding https:// if protocol is missing
-                            const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-                            const key = `${msg.id}_${normalizedUrl.trim()}`;
-                            
-                            // Only add if not already in the store
-                            if (!storedUrlMap.has(key)) {
-                                newUrls.push({
-                                    url: normalizedUrl,
-                                    timestamp: msg.createdTimestamp,
-                                    userId: msg.author.id,
-                                    author: msg.author.tag,
-                                    threadId: msg.channel.id,
-                                    forumChannelId: msg.channel.parent?.id || null,
-                                    messageId: msg.id,
-                                    messageUrl: messageUrl,
-                                    guildId: msg.guild.id
-                                });
-                            }
-                        });
-                    }
-                });
-                
-                // Optional: Add progress updates for the user
-                await processingMsg.edit(`Processing... Scanned thread "${thread.name}" (found ${newUrls.length} new URLs so far)`);
-            }
-        } else {
-            // Regular channel - use pagination here too
-            const messages = await fetchAllMessagesWithPagination(targetChannel, messageLimit);
-            
-            messages.forEach(msg => {
-                if (msg.author.bot) return;
-                
-                const foundUrls = msg.content.match(urlTracker.urlRegex);
-                if (foundUrls) {
-                    fetchedUrls += foundUrls.length;
-                    const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                    foundUrls.forEach(url => {
-                        // Normalize URL by adding https:// if protocol is missing
-                        const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-                        const key = `${msg.id}_${normalizedUrl.trim()}`;
-                        
-                        // Only add if not already in the store
-                        if (!storedUrlMap.has(key)) {
-                            newUrls.push({
-                                url: normalizedUrl,
-                                timestamp: msg.createdTimestamp,
-                                userId: msg.author.id,
-                                author: msg.author.tag,
-                                messageId: msg.id,
-                                messageUrl: messageUrl,
-                                channelId: msg.channel.id,
-                                threadId: msg.channel.isThread() ? msg.channel.id : null,
-                                forumChannelId: msg.channel.isThread() ? msg.channel.parent?.id : null,
-                                guildId: msg.guild.id
-                            });
-                        }
-                    });
-                }
-            });
-        }
-
-        // Sort by timestamp
-        newUrls = newUrls.sort((a, b) => a.timestamp - b.timestamp);
-
-        // Save only new URLs with retries
-        let saved = false;
-        let retries = 3;
-        
-        if (newUrls.length > 0) {
-            await processingMsg.edit(`Found ${newUrls.length} new URLs. Saving to database...`);
-            
-            while (!saved && retries > 0) {
-                try {
-                    await urlStore.saveUrls(channelId, newUrls);
-                    saved = true;
-                    logWithTimestamp(`Successfully saved ${newUrls.length} new URLs for channel ${channelId}`, 'INFO');
-                } catch (error) {
-                    retries--;
-                    if (retries === 0) {
-                        throw error;
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            }
-        } else {
-            saved = true; // No new URLs to save, but operation was successful
-        }
-
-        if (fetchedUrls === 0) {
-            await processingMsg.edit('No URLs found in this channel.');
-            return;
-        }
-
-        // Get channel name for better display
-        let channelDisplay;
-        try {
-            // Format as a channel mention that will be clickable in Discord
-            channelDisplay = `<#${channelId}>`;
-        } catch (error) {
-            // Fallback to just ID if we can't get proper format
-            channelDisplay = channelId;
-        }
-
-        const embed = new EmbedBuilder()
-            .setColor('#0099ff')
-            .setTitle('URLs fetched')
-            .setDescription(`Analysis for channel: ${channelDisplay}`)
-            .addFields(
-                { name: 'URLs in Database', value: `${storedUrls.length}`, inline: true },
-                { name: 'URLs Found', value: `${fetchedUrls}`, inline: true },
-                { name: 'New URLs Added', value: `${newUrls.length}`, inline: true },
-                { 
-                    name: 'Storage Status', 
-                    value: saved ? '✅ URLs saved successfully' : '❌ Failed to save URLs'
-                },
-            )
-            .setFooter({
-                text: 'Botanix Labs',
-                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-            })
-
-        await processingMsg.edit({ content: null, embeds: [embed] });
-        logWithTimestamp(`Fetch command complete - Found: ${fetchedUrls}, Added: ${newUrls.length}, Total in DB: ${storedUrls.length + newUrls.length}`, 'INFO');
-    } catch (error) {
-        logWithTimestamp(`Error handling fetch links command: ${error.message}`, 'ERROR');
-        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
-    }
-}
-
-// Cache cleanup
-setInterval(() => {
-    const now = Date.now();
-    // Clean up rate limit map
-    for (const [userId, timestamp] of rateLimitMap.entries()) {
-        if (now - timestamp > RATE_LIMIT_COOLDOWN * 2) {
-            rateLimitMap.delete(userId);
-        }
-    }
-    // Clean up thread name cache
-    for (const [threadId, data] of threadNameCache.entries()) {
-                if (now - data.timestamp > THREAD_CACHE_TTL && data.pendingOps === 0) {
-            threadNameCache.delete(threadId);
-        }
-    }
-}, CACHE_CLEANUP_INTERVAL);
-
-// Create instances - MODIFIED: Create a single UrlStorage instance and pass it to UrlTracker
-const urlStore = new UrlStorage();
-const urlTracker = new UrlTracker(client, urlStore); // Pass the existing instance
-const threadCleaner = new ThreadCleaner(client); // Initialize thread cleaner
-
-client.once('ready', async () => {
-    try {
-        await urlStore.init();  // Initialize urlStore first
-        await urlTracker.init(); // Then initialize urlTracker
-        initializeMappings();
-        
-        // Initialize thread cleaner
-        if (threadCleaner.init(THREAD_CLEANUP_SCHEDULE)) {
-            logWithTimestamp(`Thread cleaner scheduled: ${THREAD_CLEANUP_SCHEDULE}`, 'CONFIG');
-        } else {
-            logWithTimestamp('Failed to initialize thread cleaner', 'ERROR');
-        }
-        
-        const mainChannel = await client.channels.fetch(process.env.MAIN_CHANNEL_ID);
-        if (!mainChannel || mainChannel.type !== ChannelType.GuildForum) {
-            throw new Error('MAIN_CHANNEL_ID must be a forum channel');
-        }
-        
-        logWithTimestamp('Bot initialized successfully', 'STARTUP');
-        logWithTimestamp(`Monitoring forum channel: ${mainChannel.name}`, 'CONFIG');
-        
-        // URL cleanup has been disabled
-        logWithTimestamp('URL cleanup has been disabled - URLs will be kept forever', 'CONFIG');
-        
-    } catch (error) {
-        logWithTimestamp(`Initialization error: ${error.message}`, 'FATAL');
-        process.exit(1);
-    }
-});
-
-client.on('messageCreate', async (message) => {
-    try {
-        if (message.author.bot || !message.guild || !message.member) return;
-
-        // Handle fetch links command before forum post check
-        if (message.content.startsWith('!fetch links')) {
-            await handleFetchLinksCommand(message);
-            return;
-        }
-        
-        // Add support for manual thread cleanup command
-        if (message.content.startsWith('!cleanup thread')) {
-    if (!hasCommandPermission(message.member)) {
-        const embed = new EmbedBuilder()
-            .setColor(ERROR_COLOR)
-            .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
-            .setFooter({
-                text: 'Botanix Labs',
-                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-            });
-        
-        await message.reply({ embeds: [embed] });
-        logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
-        return;
-    }
-    
-    // Check if this channel is a thread
-    if (!message.channel.isThread()) {
-        await message.reply('This command must be used in a thread to clean that specific thread.');
-        return;
-    }
-    
-    // Check if this thread is one of the configured threads
-    const threadId = message.channel.id;
-    let isConfiguredThread = false;
-    
-    // Check if this thread is in the environment variables
-    for (let i = 0; i <= 5; i++) {
-        const configuredThreadId = process.env[`THREAD_${i}_ID`];
-        if (configuredThreadId && configuredThreadId === threadId) {
-            isConfiguredThread = true;
-            break;
-        }
-    }
-    
-    if (!isConfiguredThread) {
-        await message.reply('This command can only be used in threads that are configured in the environment variables.');
-        return;
-    }
-    
-    const reply = await message.reply('Starting thread cleanup for this thread, this may take a moment...');
-    
-    // Use the specific thread cleaning method
-    await threadCleaner.cleanSpecificThread(threadId);
-    
-    await reply.edit('Thread cleanup completed for this thread.');
-    return;
-}
-
-        const isForumPost = await isMessageInForumPost(message);
-        if (!isForumPost) return;
-
-        if (!checkBotPermissions(message.guild, message.channel)) {
-            logWithTimestamp(`Insufficient permissions in channel ${message.channel.name}`, 'ERROR');
-            return;
-        }
-
-        const threadNameData = await getThreadName(message.channel.id);
-        try {
-            if (checkRateLimit(message.author.id)) return;
-
-            if (message.member.roles.cache.some(role => ignoredRoles.has(role.id))) return;
-
-            const highestRoleIndex = findHighestRole(message.member.roles.cache);
-            if (highestRoleIndex === -1) return;
-
-            const correctThreadId = process.env[`THREAD_${highestRoleIndex}_ID`];
-            
-            if (message.channel.id !== correctThreadId) {
-                await handleWrongThread(message, correctThreadId);
-                return;
-            }
-
-            const urls = message.content.match(urlTracker.urlRegex);
-            if (urls) {
-                // Create a function for the timeout callback
-                const checkAndStoreUrls = async () => {
-                    try {
-                        const messageExists = await checkMessageExists(message);
-                        if (messageExists) {
-                            await urlTracker.handleUrlMessage(message, urls);
-                        } else {
-                            logWithTimestamp(`Message ${message.id} no longer exists, skipping URL check`, 'INFO');
-                        }
-                    } catch (error) {
-                        logWithTimestamp(`Error in URL check: ${error.message}`, 'ERROR');
-                    }
-                };
-
-                // Set the timeout with the async function
-                setTimeout(checkAndStoreUrls, URL_CHECK_TIMEOUT);
-            }
-        } finally {
-            threadNameData.done();
-        }
-    } catch (error) {
-        logWithTimestamp(`Error processing message: ${error.message}`, 'ERROR');
-    }
-});
-
-client.on('error', error => {
-    logWithTimestamp(`Client error: ${error.message}`, 'ERROR');
-});
-
-process.on('uncaughtException', error => {
-    logWithTimestamp(`Fatal error: ${error.message}`, 'FATAL');
-    process.exit(1);
-});
-
-process.on('unhandledRejection', async (reason, promise) => {
-    logWithTimestamp(`Unhandled rejection: ${reason}`, 'ERROR');
-    try {
-        await promise;
-    } catch (error) {
-        logWithTimestamp(`Failed to handle rejection: ${error}`, 'ERROR');
-    }
-});
-
-process.on('SIGINT', () => {
-    logWithTimestamp('Shutting down...', 'SHUTDOWN');
-    urlStore.shutdown();
-    urlTracker.shutdown();
-    threadCleaner.stop();
-    client.destroy();
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    logWithTimestamp('Shutting down...', 'SHUTDOWN');
-    urlStore.shutdown();
-    urlTracker.shutdown();
-    threadCleaner.stop();
-    client.destroy();
-    process.exit(0);
-});
-
-validateEnvironmentVariables();
-
-client.login(process.env.DISCORD_TOKEN).catch(error => {
-    logWithTimestamp(`Login failed: ${error.message}`, 'FATAL');
-    process.exit(1);
+require('dotenv').config();
+const { Client, GatewayIntentBits, EmbedBuilder, Partials, ChannelType } = require('discord.js');
+const { createUrlStorage } = require('./storageAdapter');
+const UrlTracker = require('./urlTracker');
+const { LinkPolicy } = require('./linkPolicy');
+const HandleRegistry = require('./handleRegistry');
+const { TierSettings, OWNERSHIP_CHECKS, parseQuota, formatQuota } = require('./tierSettings');
+const ThreadCleaner = require('./scheduler'); // Add the ThreadCleaner
+const CleanupPreview = require('./cleanupPreview');
+const TierSync = require('./tierSync');
+const TierRegistry = require('./tierRegistry');
+const { logWithTimestamp } = require('./utils');
+const { ERROR_COLOR, buildRemovalEmbed } = require('./notices');
+const ModerationActions = require('./moderationActions');
+const { ReviewQueue, reportComponents } = require('./reviewQueue');
+const { RecordAdmin, parseDate } = require('./recordAdmin');
+const { registerSlashCommands } = require('./slashCommands');
+const { createUrlRecord } = require('./urlRecord');
+const { DB_TIMEOUT, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_COOLDOWN, STORAGE_BACKEND, OVERRIDE_EMOJI, OVERRIDE_REACTION_MODE, LEGACY_COMMANDS, TIER_SYNC } = require('./config');
+
+const client = new Client({
+    intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.MessageContent,
+        GatewayIntentBits.GuildMembers,
+        GatewayIntentBits.GuildMessageReactions,
+    ],
+    partials: [Partials.Message, Partials.Channel, Partials.User, Partials.Reaction, Partials.GuildMember]
+});
+
+// Constants
+const URL_CHECK_TIMEOUT = parseInt(process.env.URL_CHECK_TIMEOUT) || 5000;
+const MAX_FETCH_RETRIES = 3;
+const CACHE_CLEANUP_INTERVAL = 300000; // 5 minutes
+const THREAD_CACHE_TTL = 3600000; // 1 hour
+const URL_HISTORY_LIMIT = 10;
+const THREAD_CLEANUP_SCHEDULE = process.env.THREAD_CLEANUP_SCHEDULE || '0 */6 * * *'; // Default to every 6 hours
+
+// Rate limiting and caching
+const rateLimitMap = new Map();
+const threadNameCache = new Map(); // Stores {threadId: {name: string, timestamp: number, pendingOps: number}}
+
+function checkRateLimit(userId) {
+    const now = Date.now();
+    const userRateLimit = rateLimitMap.get(userId) || { timestamp: now, count: 0 };
+    
+    if (now - userRateLimit.timestamp > RATE_LIMIT_COOLDOWN) {
+        userRateLimit.timestamp = now;
+        userRateLimit.count = 1;
+    } else {
+        userRateLimit.count++;
+        if (userRateLimit.count > RATE_LIMIT_MAX_REQUESTS) {
+            logWithTimestamp(`Rate limit hit for user ID: ${userId}`, 'RATELIMIT');
+            return true;
+        }
+    }
+    
+    rateLimitMap.set(userId, userRateLimit);
+    return false;
+}
+
+async function validateEnvironmentVariables() {
+    const tierVariables = tierRegistry.requiredEnvironmentVariables();
+    const requiredVariables = [
+        'DISCORD_TOKEN',
+        'MAIN_CHANNEL_ID',
+        'AUTO_DELETE_TIMER',
+        'DB_TIMEOUT',
+        ...tierVariables
+    ];
+
+    const missingVariables = requiredVariables.filter(varName => !process.env[varName]);
+    if (missingVariables.length > 0) {
+        logWithTimestamp(`Missing environment variables: ${missingVariables.join(', ')}`, 'ERROR');
+        process.exit(1);
+    }
+
+    // Tiers from the tiers file are checked when they're loaded (see tierRegistry.js)
+    const idVariables = [
+        'MAIN_CHANNEL_ID',
+        ...tierVariables
+    ];
+
+    idVariables.forEach(varName => {
+        const value = process.env[varName];
+        if (value && !/^\d+$/.test(value)) {
+            logWithTimestamp(`Invalid Discord ID format for ${varName}: ${value}`, 'ERROR');
+            process.exit(1);
+        }
+    });
+
+    if (isNaN(parseInt(process.env.AUTO_DELETE_TIMER)) || parseInt(process.env.AUTO_DELETE_TIMER) < 0) {
+        logWithTimestamp('Invalid AUTO_DELETE_TIMER value. Must be a positive number.', 'ERROR');
+        process.exit(1);
+    }
+
+    if (isNaN(parseInt(process.env.DB_TIMEOUT)) || parseInt(process.env.DB_TIMEOUT) < 0) {
+        logWithTimestamp('Invalid DB_TIMEOUT value. Must be a positive number.', 'ERROR');
+        process.exit(1);
+    }
+    
+    // Check thread cleanup schedule format if provided
+    if (process.env.THREAD_CLEANUP_SCHEDULE) {
+        try {
+            const cron = require('node-cron');
+            if (!cron.validate(process.env.THREAD_CLEANUP_SCHEDULE)) {
+                logWithTimestamp(`Invalid cron expression for THREAD_CLEANUP_SCHEDULE: ${process.env.THREAD_CLEANUP_SCHEDULE}`, 'ERROR');
+                process.exit(1);
+            }
+        } catch (error) {
+            logWithTimestamp(`Error validating THREAD_CLEANUP_SCHEDULE: ${error.message}`, 'ERROR');
+            process.exit(1);
+        }
+    }
+    
+    logWithTimestamp(`URL storage backend: ${STORAGE_BACKEND}`, 'CONFIG');
+
+    // Add logging for command permission configuration
+    logWithTimestamp('Command access restricted to server administrators only', 'CONFIG');
+    logWithTimestamp(`Last updated: 2025-04-16 13:59:46 UTC by noname9006`, 'INFO');
+}
+
+function hasCommandPermission(member) {
+    // Only allow users with Administrator permission
+    return member.permissions.has('Administrator');
+}
+
+function checkBotPermissions(guild, channel) {
+    const botMember = guild.members.cache.get(client.user.id);
+    if (!botMember) {
+        logWithTimestamp('Bot member not found in guild', 'ERROR');
+        return false;
+    }
+
+    const requiredPermissions = [
+        'ViewChannel',
+        'SendMessages',
+        'ManageMessages',
+        'EmbedLinks'
+    ];
+
+    const missingPermissions = requiredPermissions.filter(perm => !botMember.permissions.has(perm));
+    if (missingPermissions.length > 0) {
+        logWithTimestamp(`Missing permissions in ${channel.name}: ${missingPermissions.join(', ')}`, 'ERROR');
+        return false;
+    }
+
+    return true;
+}
+
+async function fetchAllMessagesWithPagination(channel, limit = 5000) {
+    const allMessages = new Map();
+    let lastId = null;
+    let remaining = limit;
+    let fetchCount = 0;
+    
+    logWithTimestamp(`Starting paginated message fetch for ${channel.id} (limit: ${limit})`, 'INFO');
+    
+    while (remaining > 0) {
+        const options = { limit: Math.min(100, remaining) };
+        if (lastId) {
+            options.before = lastId;
+        }
+        
+        try {
+            fetchCount++;
+            const messages = await channel.messages.fetch(options);
+            
+            if (messages.size === 0) {
+                logWithTimestamp(`No more messages found after ${allMessages.size} messages`, 'INFO');
+                break;
+            }
+            
+            // Add all fetched messages to our collection
+            for (const [id, message] of messages) {
+                allMessages.set(id, message);
+            }
+            
+            // Update the lastId for pagination
+            lastId = messages.last().id;
+            remaining -= messages.size;
+            
+            logWithTimestamp(`Fetched page ${fetchCount}: ${messages.size} messages (total: ${allMessages.size})`, 'INFO');
+            
+            // If we got fewer messages than requested, we've reached the end
+            if (messages.size < Math.min(100, remaining + messages.size)) {
+                break;
+            }
+            
+            // Optional: Add a small delay to avoid rate limits
+            if (remaining > 0) {
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+        } catch (error) {
+            logWithTimestamp(`Error fetching messages (page ${fetchCount}): ${error.message}`, 'ERROR');
+            // Try to continue with next page despite errors
+            if (allMessages.size > 0) {
+                const lastMessage = Array.from(allMessages.values()).pop();
+                lastId = lastMessage.id;
+                continue;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    logWithTimestamp(`Completed message fetch: ${allMessages.size} total messages`, 'INFO');
+    return allMessages;
+}
+
+async function getThreadName(threadId) {
+    const cacheEntry = threadNameCache.get(threadId);
+    if (cacheEntry) {
+        cacheEntry.pendingOps++;
+        return {
+            name: cacheEntry.name,
+            done: () => {
+                const entry = threadNameCache.get(threadId);
+                if (entry) {
+                    entry.pendingOps--;
+                }
+            }
+        };
+    }
+
+    try {
+        const channel = await client.channels.fetch(threadId);
+        if (!channel) {
+            return { name: threadId, done: () => {} };
+        }
+        
+        threadNameCache.set(threadId, {
+            name: channel.name,
+            timestamp: Date.now(),
+            pendingOps: 1
+        });
+        
+        return {
+            name: channel.name,
+            done: () => {
+                const entry = threadNameCache.get(threadId);
+                if (entry) {
+                    entry.pendingOps--;
+                }
+            }
+        };
+    } catch (error) {
+        logWithTimestamp(`Error fetching thread ${threadId}: ${error.message}`, 'ERROR');
+        return { name: threadId, done: () => {} };
+    }
+}
+
+async function isMessageInForumPost(message) {
+    try {
+        const channel = message.channel;
+        if (!channel.isThread()) return false;
+        
+        const parent = await channel.parent?.fetch();
+        return parent?.id === process.env.MAIN_CHANNEL_ID &&
+               parent?.type === ChannelType.GuildForum;
+    } catch (error) {
+        logWithTimestamp(`Error checking forum post: ${error.message}`, 'ERROR');
+        return false;
+    }
+}
+
+async function checkMessageExists(message, retries = 0) {
+    try {
+        return await message.channel.messages.fetch(message.id)
+            .then(() => true)
+            .catch(async (error) => {
+                if (retries < MAX_FETCH_RETRIES && error.code === 'NETWORK_ERROR') {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    return checkMessageExists(message, retries + 1);
+                }
+                return false;
+            });
+    } catch {
+        return false;
+    }
+}
+
+async function handleWrongThread(message, correctThreadId) {
+    const errorEmbed = buildRemovalEmbed(
+        message,
+        'please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.',
+        [{
+            name: "Here's the right one for you:",
+            value: `<#${correctThreadId}>`
+        }]
+    );
+
+    await moderationActions.replyAndRemove(message, errorEmbed, reportComponents('wrong_thread', message.author.id, message.channel.id), {
+        reason: `wrong_thread, belongs in ${correctThreadId}`
+    });
+}
+
+// Store the URLs of a channel (every thread of a forum) that aren't in the database yet.
+// onProgress receives status lines while it runs. Returns null if the channel can't be fetched,
+// otherwise { storedCount, fetchedUrls, newUrls, saved }.
+async function fetchLinks(channelId, messageLimit, onProgress = async () => {}) {
+    const targetChannel = await client.channels.fetch(channelId).catch(() => null);
+    if (!targetChannel) {
+        return null;
+    }
+
+    logWithTimestamp(`Fetching URLs from channel ${channelId} (limit: ${messageLimit})`, 'INFO');
+    
+    // Get stored URLs
+    const storedUrls = await urlStore.getUrls(channelId);
+    const storedUrlMap = new Map(); // Create a map for quick duplicate checking
+    
+    // Create a map of existing URLs for efficient lookup
+    storedUrls.forEach(url => {
+        const key = `${url.messageId}_${urlStore.canonicalize(url.url)}`;
+        storedUrlMap.set(key, url);
+    });
+    
+    // Array to hold newly discovered URLs
+    let newUrls = [];
+    let fetchedUrls = 0;
+
+    const collectUrls = (messages) => {
+        messages.forEach(msg => {
+            if (msg.author.bot) return;
+            
+            const foundUrls = msg.content.match(urlTracker.urlRegex);
+            if (foundUrls) {
+                fetchedUrls += foundUrls.length;
+                foundUrls.forEach(url => {
+                    // Normalize URL by adding https:// if protocol is missing
+                    const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
+                    const key = `${msg.id}_${urlStore.canonicalize(normalizedUrl)}`;
+                    
+                    // Only add if not already in the store
+                    if (!storedUrlMap.has(key)) {
+                        newUrls.push(createUrlRecord(msg, normalizedUrl));
+                    }
+                });
+            }
+        });
+    };
+    
+    // Then fetch new URLs with pagination
+    if (targetChannel.type === ChannelType.GuildForum) {
+        const threads = await targetChannel.threads.fetch();
+        
+        for (const [threadId, thread] of threads.threads) {
+            collectUrls(await fetchAllMessagesWithPagination(thread, messageLimit));
+            
+            // Optional: Add progress updates for the user
+            await onProgress(`Processing... Scanned thread "${thread.name}" (found ${newUrls.length} new URLs so far)`);
+        }
+    } else {
+        // Regular channel - use pagination here too
+        collectUrls(await fetchAllMessagesWithPagination(targetChannel, messageLimit));
+    }
+
+    // Sort by timestamp
+    newUrls = newUrls.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Save only new URLs with retries
+    let saved = false;
+    let retries = 3;
+    
+    if (newUrls.length > 0) {
+        await onProgress(`Found ${newUrls.length} new URLs. Saving to database...`);
+        
+        while (!saved && retries > 0) {
+            try {
+                await urlStore.saveUrls(channelId, newUrls);
+                saved = true;
+                logWithTimestamp(`Successfully saved ${newUrls.length} new URLs for channel ${channelId}`, 'INFO');
+            } catch (error) {
+                retries--;
+                if (retries === 0) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    } else {
+        saved = true; // No new URLs to save, but operation was successful
+    }
+
+    logWithTimestamp(`Fetch command complete - Found: ${fetchedUrls}, Added: ${newUrls.length}, Total in DB: ${storedUrls.length + newUrls.length}`, 'INFO');
+    return { storedCount: storedUrls.length, fetchedUrls, newUrls, saved };
+}
+
+function buildFetchLinksEmbed(channelId, result) {
+    return new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('URLs fetched')
+        .setDescription(`Analysis for channel: <#${channelId}>`)
+        .addFields(
+            { name: 'URLs in Database', value: `${result.storedCount}`, inline: true },
+            { name: 'URLs Found', value: `${result.fetchedUrls}`, inline: true },
+            { name: 'New URLs Added', value: `${result.newUrls.length}`, inline: true },
+            { 
+                name: 'Storage Status', 
+                value: result.saved ? '✅ URLs saved successfully' : '❌ Failed to save URLs'
+            },
+        )
+        .setFooter({
+            text: 'Botanix Labs',
+            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+        });
+}
+
+async function handleFetchLinksCommand(message) {
+    try {
+        // Permission check remains the same
+        if (!hasCommandPermission(message.member)) {
+            const embed = new EmbedBuilder()
+                .setColor(ERROR_COLOR)
+                .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
+                .setFooter({
+                    text: 'Botanix Labs',
+                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+                })
+            
+            await message.reply({ embeds: [embed] });
+            logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
+            return;
+        }
+
+        // Command format check remains the same
+        const args = message.content.split(' ');
+        
+        // Enhanced command options
+        let channelId;
+        let messageLimit = 5000; // Default limit
+        
+        if (args.length < 3) {
+            await message.reply('Usage: !fetch links <channel_id> [message_limit]');
+            return;
+        }
+        
+        channelId = args[2];
+        
+        // Optional message limit parameter
+        if (args.length >= 4 && !isNaN(parseInt(args[3]))) {
+            messageLimit = Math.min(1000, parseInt(args[3])); // Cap at 1000 for safety
+        }
+        
+        const processingMsg = await message.reply(`Processing... Fetching up to ${messageLimit} messages from <#${channelId}>`);
+        
+        const result = await fetchLinks(channelId, messageLimit, content => processingMsg.edit(content));
+        if (!result) {
+            await processingMsg.edit('Channel not found or bot has no access to it.');
+            return;
+        }
+
+        if (result.fetchedUrls === 0) {
+            await processingMsg.edit('No URLs found in this channel.');
+            return;
+        }
+
+        await processingMsg.edit({ content: null, embeds: [buildFetchLinksEmbed(channelId, result)] });
+    } catch (error) {
+        logWithTimestamp(`Error handling fetch links command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// Tier roles and threads belong to the guild of MAIN_CHANNEL_ID
+function isMainGuild(guild) {
+    return client.channels.cache.get(process.env.MAIN_CHANNEL_ID)?.guildId === guild.id;
+}
+
+const RECORD_STATUS_LABELS = {
+    active: '🟢 Active',
+    superseded: '✏️ Edited out',
+    deleted: '🗑️ Deleted',
+    rejected: '🚫 Refused',
+    transferred: '↪️ Transferred',
+    reposted: '🔁 Deleted and reposted'
+};
+
+function formatTime(timestamp) {
+    return `<t:${Math.floor(timestamp / 1000)}:f>`;
+}
+
+// Everything stored about one submission: who, where, when and what happened to it
+function describeRecord(entry, showUrl) {
+    const lines = [];
+    if (showUrl) {
+        lines.push(entry.url);
+    }
+    lines.push(`Poster: ${entry.userId ? `<@${entry.userId}> (${entry.author || entry.userId})` : entry.author || 'Unknown'}`);
+    lines.push(`Thread: <#${entry.channelId}>${entry.threadName ? ` (${entry.threadName})` : ''} ${entry.messageUrl}`);
+    lines.push(`Posted: ${formatTime(entry.timestamp)}`);
+    if (entry.verdict) {
+        lines.push(`Verdict: ${entry.verdict}${entry.duplicateOf ? `, duplicate of message ${entry.duplicateOf}` : ''}`);
+    }
+    if (entry.status === 'superseded' && entry.supersededAt) {
+        lines.push(`Edited out: ${formatTime(entry.supersededAt)}`);
+    }
+    if (entry.status === 'deleted' || entry.status === 'reposted') {
+        lines.push(`Deleted: ${entry.deletedAt ? formatTime(entry.deletedAt) : 'unknown time'} by ${entry.deletedBy || 'unknown'}`);
+    }
+    if (entry.overriddenBy) {
+        lines.push(`${entry.status === 'transferred' ? 'Transferred away' : 'Accepted'} by <@${entry.overriddenBy}>: ${formatTime(entry.overriddenAt)}`);
+    }
+
+    const text = lines.join('\n');
+    return text.length > 1024 ? text.substring(0, 1021) + '...' : text;
+}
+
+// One page of records as embed fields, numbered across pages
+function buildRecordsEmbed(title, summary, entries, page, showUrl) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / URL_HISTORY_LIMIT));
+    const currentPage = Math.min(page, pageCount);
+    const offset = (currentPage - 1) * URL_HISTORY_LIMIT;
+
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(title)
+        .setDescription(`${summary}\n${entries.length} records, page ${currentPage} of ${pageCount}`)
+        .setFooter({
+            text: 'Botanix Labs',
+            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+        });
+
+    const shown = entries.slice(offset, offset + URL_HISTORY_LIMIT);
+    if (shown.length > 0) {
+        embed.addFields(...shown.map((entry, index) => ({
+            name: `${offset + index + 1}. ${RECORD_STATUS_LABELS[entry.status] || entry.status}`,
+            value: describeRecord(entry, showUrl)
+        })));
+    }
+    return embed;
+}
+
+// Every stored submission of a URL, normalized like the tracker does, oldest first
+async function buildUrlLookupEmbed(url, page = 1) {
+    const canonicalUrl = urlStore.canonicalize(url);
+    const entries = [...await urlStore.getUrlsByCanonicalUrl(canonicalUrl)]
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const holder = await urlStore.findUrlHistory(url);
+
+    const summary = `Canonical URL: ${canonicalUrl}\n${holder
+        ? `Claimed by ${holder.userId ? `<@${holder.userId}>` : holder.author} in ${holder.messageUrl}`
+        : 'Not claimed by any submission'}`;
+    return buildRecordsEmbed('URL lookup', summary, entries, page, false);
+}
+
+// Every URL a member submitted, newest first
+async function buildMemberLookupEmbed(user, page = 1) {
+    const entries = [...await urlStore.getUrlsByUser(user.id)]
+        .sort((a, b) => b.timestamp - a.timestamp);
+    const accepted = entries.filter(entry => entry.status === 'active').length;
+    return buildRecordsEmbed('Member lookup', `Submissions by ${user} (${user.tag}), ${accepted} active`, entries, page, true);
+}
+
+async function buildStatsEmbed() {
+    const stats = await urlStore.getStats();
+    const topChannels = Object.entries(stats.urlsPerChannel)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([channelId, count]) => `<#${channelId}>: ${count}`);
+
+    return new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('URL database statistics')
+        .addFields(
+            { name: 'Records', value: `${stats.totalUrls}`, inline: true },
+            { name: 'Unique URLs', value: `${stats.uniqueUrls}`, inline: true },
+            { name: 'Deleted', value: `${stats.deletedUrls}`, inline: true },
+            { name: 'Storage', value: STORAGE_BACKEND, inline: true },
+            { name: `Channels (${stats.channelCount})`, value: topChannels.join('\n') || 'None' }
+        )
+        .setFooter({
+            text: 'Botanix Labs',
+            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+        });
+}
+
+// Builds the confirmation for /records; nothing changes until the admin confirms (see recordAdmin.js)
+async function prepareRecordsCommand(interaction) {
+    const options = interaction.options;
+    switch (options.getSubcommand()) {
+        case 'delete':
+            return recordAdmin.prepareDelete(interaction.user, options.getString('url', true), options.getString('message-id'));
+        case 'reassign':
+            return recordAdmin.prepareReassign(interaction.user, options.getString('url', true),
+                options.getUser('member', true), options.getString('message-id'));
+        default: {
+            const from = options.getString('from');
+            const to = options.getString('to');
+            const filters = {
+                userId: options.getUser('member')?.id || null,
+                threadId: options.getChannel('thread')?.id || null,
+                from: from ? parseDate(from) : null,
+                to: to ? parseDate(to, true) : null
+            };
+            if ((from && filters.from === null) || (to && filters.to === null)) {
+                return { content: 'Dates must be written as YYYY-MM-DD.', ephemeral: true };
+            }
+            return recordAdmin.preparePurge(interaction.user, filters);
+        }
+    }
+}
+
+// Slash commands (see slashCommands.js). Replies are ephemeral; long operations are deferred.
+async function handleSlashCommand(interaction) {
+    try {
+        // Same rule as hasCommandPermission; interaction.member may not be a full GuildMember
+        if (!interaction.inGuild() || !interaction.memberPermissions.has('Administrator')) {
+            await interaction.reply({ content: "You don't have permission to use this command. Only server administrators can use it.", ephemeral: true });
+            logWithTimestamp(`Command access denied for user ${interaction.user.tag} (${interaction.user.id}) - Administrator permission required`, 'WARN');
+            return;
+        }
+
+        switch (interaction.commandName) {
+            case 'fetch-links': {
+                const channel = interaction.options.getChannel('channel', true);
+                const messageLimit = interaction.options.getInteger('limit') || 5000;
+                await interaction.deferReply({ ephemeral: true });
+
+                const result = await fetchLinks(channel.id, messageLimit, content => interaction.editReply(content));
+                if (!result) {
+                    await interaction.editReply('Channel not found or bot has no access to it.');
+                } else if (result.fetchedUrls === 0) {
+                    await interaction.editReply('No URLs found in this channel.');
+                } else {
+                    await interaction.editReply({ content: '', embeds: [buildFetchLinksEmbed(channel.id, result)] });
+                }
+                break;
+            }
+            case 'cleanup-thread': {
+                const thread = interaction.options.getChannel('thread') || interaction.channel;
+                if (!thread || !thread.isThread?.() || !tierRegistry.isTierThread(thread.id)) {
+                    await interaction.reply({ content: 'Pick one of the configured tier threads, or run this inside one.', ephemeral: true });
+                    return;
+                }
+
+                // Shows the plan; the buttons are handled by cleanupPreview
+                await interaction.deferReply({ ephemeral: true });
+                await interaction.editReply(await cleanupPreview.prepare(interaction.user, thread.id));
+                break;
+            }
+            case 'lookup': {
+                const page = interaction.options.getInteger('page') || 1;
+                const embed = interaction.options.getSubcommand() === 'member'
+                    ? await buildMemberLookupEmbed(interaction.options.getUser('member', true), page)
+                    : await buildUrlLookupEmbed(interaction.options.getString('url', true), page);
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+                break;
+            }
+            case 'records':
+                await interaction.reply(await prepareRecordsCommand(interaction));
+                break;
+            case 'stats':
+                await interaction.reply({ embeds: [await buildStatsEmbed()], ephemeral: true });
+                break;
+            default:
+                await interaction.reply({ content: `Unknown command ${interaction.commandName}`, ephemeral: true });
+        }
+    } catch (error) {
+        logWithTimestamp(`Error handling /${interaction.commandName}: ${error.message}`, 'ERROR');
+        const reply = { content: 'An error occurred while processing the command: ' + error.message, ephemeral: true };
+        await (interaction.replied || interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply)).catch(() => {});
+    }
+}
+
+async function replyPermissionDenied(message) {
+    const embed = new EmbedBuilder()
+        .setColor(ERROR_COLOR)
+        .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
+        .setFooter({
+            text: 'Botanix Labs',
+            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+        });
+
+    await message.reply({ embeds: [embed] });
+    logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
+}
+
+// !platforms                                    - show the accepted platforms of every tier
+// !platforms <tier> set|add|remove <platform..> - change the list of a tier (number or name)
+// !platforms <tier> reset                       - accept every platform again
+async function handlePlatformsCommand(message) {
+    try {
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        const args = message.content.trim().split(/\s+/).slice(1);
+        const knownPlatforms = urlStore.canonicalizer.getPlatforms();
+        const usage = `Usage: !platforms [<tier> set|add|remove <platform...> | <tier> reset]\nTiers: ${describeTierChoices()}\nPlatforms: ${knownPlatforms.join(', ')}`;
+
+        if (args.length > 0) {
+            const [tierArg, action, ...platforms] = args;
+            const tier = tierRegistry.findTier(tierArg);
+            if (!tier || !['set', 'add', 'remove', 'reset'].includes(action)) {
+                await message.reply(usage);
+                return;
+            }
+
+            const requested = platforms.map(platform => platform.toLowerCase());
+            const unknown = requested.filter(platform => !knownPlatforms.includes(platform));
+            if (unknown.length > 0 || (action !== 'reset' && requested.length === 0)) {
+                await message.reply(unknown.length > 0 ? `Unknown platforms: ${unknown.join(', ')}\n${usage}` : usage);
+                return;
+            }
+
+            const current = tierSettings.getAllowedPlatforms(tier.threadId) || knownPlatforms;
+            const updated = {
+                set: requested,
+                add: [...current, ...requested],
+                remove: current.filter(platform => !requested.includes(platform)),
+                reset: null
+            }[action];
+
+            await tierSettings.setAllowedPlatforms(tier.threadId, updated);
+            logWithTimestamp(`Platforms for ${tier.name} changed by ${message.author.tag} (${message.author.id}): ${action} ${requested.join(', ')}`, 'CONFIG');
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('Accepted platforms per tier')
+            .addFields(...tierRegistry.getTiers().map(tier => {
+                const allowedPlatforms = tierSettings.getAllowedPlatforms(tier.threadId);
+                return {
+                    name: tier.name,
+                    value: `<#${tier.threadId}>: ${allowedPlatforms ? allowedPlatforms.join(', ') || 'none' : 'all platforms'}`
+                };
+            }))
+            .setFooter({
+                text: 'Botanix Labs',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+
+        await message.reply({ embeds: [embed] });
+    } catch (error) {
+        logWithTimestamp(`Error handling platforms command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// Accepts "<platform> <handle>" or a profile URL; returns { platform, handle } or null
+function parseAccount(args) {
+    if (args.length === 1) {
+        const described = urlStore.canonicalizer.describe(args[0]);
+        return described && described.handle ? { platform: described.platform, handle: described.handle } : null;
+    }
+    if (args.length !== 2) return null;
+
+    const platform = args[0].toLowerCase();
+    return urlStore.canonicalizer.getPlatforms().includes(platform)
+        ? { platform, handle: handleRegistry.normalizeHandle(args[1]) }
+        : null;
+}
+
+function parseUserId(arg) {
+    const match = (arg || '').match(/^(?:<@!?(\d+)>|(\d+))$/);
+    return match ? match[1] || match[2] : null;
+}
+
+function formatLinks(links) {
+    return links.length > 0
+        ? links.map(link => `${link.platform}/${link.handle}${link.status === 'pending' ? ' (pending approval)' : ''}`).join('\n')
+        : 'No linked accounts';
+}
+
+// !link <platform> <handle> | !link <profile URL>  - ask for one of your accounts to be linked
+// !unlink <platform> <handle>                       - remove one of your linked accounts
+// !links                                            - show your linked accounts
+// !links <@user> | !links pending                   - (admins) show a member's accounts or the requests
+// !approve <@user> <platform> <handle>              - (admins) approve a member's account
+async function handleAccountCommand(message, commandName) {
+    try {
+        const args = message.content.trim().split(/\s+/).slice(1);
+        const accountUsage = `<platform> <handle> or a profile URL\nPlatforms: ${urlStore.canonicalizer.getPlatforms().join(', ')}`;
+
+        if (commandName === '!link' || commandName === '!unlink') {
+            const account = parseAccount(args);
+            if (!account) {
+                await message.reply(`Usage: ${commandName} ${accountUsage}`);
+                return;
+            }
+
+            if (commandName === '!unlink') {
+                const removed = await handleRegistry.removeLink(message.author.id, account.platform, account.handle);
+                await message.reply(removed
+                    ? `Unlinked ${account.platform}/${account.handle}.`
+                    : `${account.platform}/${account.handle} isn't linked to you.`);
+                return;
+            }
+
+            const link = await handleRegistry.requestLink(message.author.id, account.platform, account.handle);
+            if (link.status === 'approved') {
+                await message.reply(`${account.platform}/${account.handle} is already linked to you.`);
+                return;
+            }
+
+            await message.reply(`Requested link to ${account.platform}/${account.handle}. An admin will review it.`);
+            await urlTracker.sendLogToChannel('Account Link Requested', [
+                { name: 'Member', value: `<@${message.author.id}> (${message.author.id})` },
+                { name: 'Account', value: `${account.platform}/${account.handle}` },
+                { name: 'Approve with', value: `!approve <@${message.author.id}> ${account.platform} ${account.handle}` }
+            ]);
+            return;
+        }
+
+        if (commandName === '!links' && args.length === 0) {
+            await message.reply(`Your linked accounts:\n${formatLinks(handleRegistry.getLinks(message.author.id))}`);
+            return;
+        }
+
+        // Everything below is for admins only
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        if (commandName === '!links') {
+            if (args[0] === 'pending') {
+                const pending = handleRegistry.getPending();
+                await message.reply(pending.length > 0
+                    ? `Accounts waiting for approval:\n${pending.map(link => `<@${link.userId}> ${link.platform}/${link.handle}`).join('\n')}`
+                    : 'No accounts waiting for approval.');
+                return;
+            }
+
+            const userId = parseUserId(args[0]);
+            if (!userId) {
+                await message.reply('Usage: !links [<@user> | pending]');
+                return;
+            }
+            await message.reply(`Linked accounts of <@${userId}>:\n${formatLinks(handleRegistry.getLinks(userId))}`);
+            return;
+        }
+
+        // !approve
+        const userId = parseUserId(args[0]);
+        const account = parseAccount(args.slice(1));
+        if (!userId || !account) {
+            await message.reply(`Usage: !approve <@user> ${accountUsage}`);
+            return;
+        }
+
+        await handleRegistry.approveLink(userId, account.platform, account.handle, message.author.id);
+        await message.reply(`Linked ${account.platform}/${account.handle} to <@${userId}>.`);
+        logWithTimestamp(`Account ${account.platform}/${account.handle} of ${userId} approved by ${message.author.tag} (${message.author.id})`, 'INFO');
+    } catch (error) {
+        logWithTimestamp(`Error handling ${commandName} command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// !ownership                           - show how every tier treats accounts not linked to the poster
+// !ownership <tier> off|flag|reject    - change it for a tier (number or name)
+async function handleOwnershipCommand(message) {
+    try {
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        const args = message.content.trim().split(/\s+/).slice(1);
+        if (args.length > 0) {
+            const [tierArg, mode] = args;
+            const tier = tierRegistry.findTier(tierArg);
+            if (!tier || !OWNERSHIP_CHECKS.includes(mode)) {
+                await message.reply(`Usage: !ownership [<tier> ${OWNERSHIP_CHECKS.join('|')}]\nTiers: ${describeTierChoices()}`);
+                return;
+            }
+
+            await tierSettings.setOwnershipCheck(tier.threadId, mode);
+            logWithTimestamp(`Ownership check for ${tier.name} changed by ${message.author.tag} (${message.author.id}): ${mode}`, 'CONFIG');
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('Ownership check per tier')
+            .setDescription('off: not checked, flag: accepted and logged, reject: refused')
+            .addFields(...tierRegistry.getTiers().map(tier => ({
+                name: tier.name,
+                value: `<#${tier.threadId}>: ${tierSettings.getOwnershipCheck(tier.threadId)}`
+            })))
+            .setFooter({
+                text: 'Botanix Labs',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+
+        await message.reply({ embeds: [embed] });
+    } catch (error) {
+        logWithTimestamp(`Error handling ownership command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// !quota                          - show the submission quota of every tier
+// !quota <tier> <limit>/<window>  - e.g. "!quota 2 3/24h" or "!quota 4 10/7d" (h, d or w)
+// !quota <tier> off               - remove the quota of a tier (number or name)
+async function handleQuotaCommand(message) {
+    try {
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        const args = message.content.trim().split(/\s+/).slice(1);
+        if (args.length > 0) {
+            const [tierArg, value] = args;
+            const tier = tierRegistry.findTier(tierArg);
+            const quota = value === 'off' ? null : parseQuota(value);
+            if (!tier || (value !== 'off' && !quota)) {
+                await message.reply(`Usage: !quota [<tier> <limit>/<window> | <tier> off], e.g. !quota 2 3/24h or !quota 4 10/7d\nTiers: ${describeTierChoices()}`);
+                return;
+            }
+
+            await tierSettings.setQuota(tier.threadId, quota);
+            logWithTimestamp(`Submission quota for ${tier.name} changed by ${message.author.tag} (${message.author.id}): ${value}`, 'CONFIG');
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('Submission quota per tier')
+            .addFields(...tierRegistry.getTiers().map(tier => {
+                const quota = tierSettings.getQuota(tier.threadId);
+                return { name: tier.name, value: `<#${tier.threadId}>: ${quota ? formatQuota(quota) : 'no limit'}` };
+            }))
+            .setFooter({
+                text: 'Botanix Labs',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+
+        await message.reply({ embeds: [embed] });
+    } catch (error) {
+        logWithTimestamp(`Error handling quota command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+function describeTierChoices() {
+    return tierRegistry.getTiers().map(tier => `${tier.index} (${tier.name})`).join(', ');
+}
+
+// !tiers         - show the tiers with their roles and threads
+// !tiers reload  - read the tiers file again; edits to it are also picked up on their own
+async function handleTiersCommand(message) {
+    try {
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        const args = message.content.trim().split(/\s+/).slice(1);
+        if (args.length > 1 || (args.length === 1 && args[0] !== 'reload')) {
+            await message.reply('Usage: !tiers [reload]');
+            return;
+        }
+        if (args[0] === 'reload') {
+            try {
+                await tierRegistry.reload();
+            } catch (error) {
+                await message.reply(`Tiers not reloaded, the ones in use stay: ${error.message}`);
+                return;
+            }
+            logWithTimestamp(`Tiers reloaded by ${message.author.tag} (${message.author.id})`, 'CONFIG');
+        }
+
+        const ignoredRoles = [...tierRegistry.ignoredRoles];
+        const embeds = tierRegistry.getTiers().map(tier => new EmbedBuilder()
+            .setColor(tier.color || '#0099ff')
+            .setTitle(`${tier.index}: ${tier.name}`)
+            .addFields(
+                { name: 'Roles', value: tier.roleIds.map(roleId => `<@&${roleId}>`).join(', '), inline: true },
+                { name: 'Thread', value: `<#${tier.threadId}>`, inline: true }
+            ));
+        const content = `${embeds.length} tiers from ${tierRegistry.source}, lowest first. ` +
+            `Ignored roles: ${ignoredRoles.length > 0 ? ignoredRoles.map(roleId => `<@&${roleId}>`).join(', ') : 'none'}`;
+
+        // A message holds at most 10 embeds
+        for (let i = 0; i < embeds.length; i += 10) {
+            const reply = { embeds: embeds.slice(i, i + 10), allowedMentions: { parse: [] } };
+            await (i === 0 ? message.reply({ content, ...reply }) : message.channel.send(reply));
+        }
+    } catch (error) {
+        logWithTimestamp(`Error handling tiers command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// Accepts a message link, or a message ID in the channel the command was used in
+async function fetchTargetMessage(message, arg) {
+    const linkMatch = (arg || '').match(/channels\/\d+\/(\d+)\/(\d+)/);
+    const [channelId, messageId] = linkMatch
+        ? [linkMatch[1], linkMatch[2]]
+        : [message.channel.id, /^\d+$/.test(arg || '') ? arg : null];
+    if (!messageId) return null;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    return channel ? channel.messages.fetch(messageId).catch(() => null) : null;
+}
+
+// !override <message link|ID> [share|transfer] - accept a submission refused as a duplicate.
+// Replying to the flagged message with "!override [share|transfer]" works too.
+//   share     the URL stays with the earlier submission as well (default)
+//   transfer  the earlier submissions of other members release the URL
+async function handleOverrideCommand(message) {
+    try {
+        if (!hasCommandPermission(message.member)) {
+            await replyPermissionDenied(message);
+            return;
+        }
+
+        const args = message.content.trim().split(/\s+/).slice(1);
+        const targetArg = message.reference?.messageId && !/^\d+$|channels\//.test(args[0] || '')
+            ? message.reference.messageId
+            : args.shift();
+        const mode = (args[0] || 'share').toLowerCase();
+        const target = await fetchTargetMessage(message, targetArg);
+        if (!target || !['share', 'transfer'].includes(mode)) {
+            await message.reply('Usage: !override <message link or ID> [share|transfer], or reply to the flagged message with !override [share|transfer]');
+            return;
+        }
+
+        const { accepted, released } = await urlTracker.overrideSubmission(target, message.author, mode);
+        await message.reply(accepted.length > 0
+            ? `Accepted ${accepted.length} URL${accepted.length === 1 ? '' : 's'} from ${target.author}${mode === 'transfer' ? `, released by ${released.length} earlier submission${released.length === 1 ? '' : 's'}` : ''}.`
+            : 'That message has no URLs refused as duplicates.');
+    } catch (error) {
+        logWithTimestamp(`Error handling override command: ${error.message}`, 'ERROR');
+        await message.reply('An error occurred while processing the command: ' + error.message).catch(() => {});
+    }
+}
+
+// Cache cleanup
+setInterval(() => {
+    const now = Date.now();
+    // Clean up rate limit map
+    for (const [userId, timestamp] of rateLimitMap.entries()) {
+        if (now - timestamp > RATE_LIMIT_COOLDOWN * 2) {
+            rateLimitMap.delete(userId);
+        }
+    }
+    // Clean up thread name cache
+    for (const [threadId, data] of threadNameCache.entries()) {
+                if (now - data.timestamp > THREAD_CACHE_TTL && data.pendingOps === 0) {
+            threadNameCache.delete(threadId);
+        }
+    }
+}, CACHE_CLEANUP_INTERVAL);
+
+// Create instances - MODIFIED: Create a single storage instance and pass it to UrlTracker
+const urlStore = createUrlStorage(); // Backend picked by STORAGE_BACKEND
+const linkPolicy = new LinkPolicy(); // Rules from LINK_POLICY_FILE
+const tierSettings = new TierSettings(); // Per-tier settings, changed at runtime by admins
+const handleRegistry = new HandleRegistry(); // Social accounts linked to members
+const moderationActions = new ModerationActions(client); // Every removal, reply and reaction; only logged when DRY_RUN is set
+const urlTracker = new UrlTracker(client, urlStore, linkPolicy, tierSettings, handleRegistry, moderationActions); // Pass the existing instance
+const tierRegistry = new TierRegistry(); // Tier roles and threads from TIERS_FILE, reloaded when it changes
+const threadCleaner = new ThreadCleaner(client, moderationActions, tierRegistry); // Initialize thread cleaner
+const cleanupPreview = new CleanupPreview(threadCleaner); // Confirmation step of the cleanup commands
+const tierSync = new TierSync(client, threadCleaner, urlTracker); // Moves members between tier threads as their roles change
+const reviewQueue = new ReviewQueue(client, urlTracker); // Members' reports of mistaken warnings
+const recordAdmin = new RecordAdmin(client, urlTracker); // Confirmed admin changes to URL records
+
+client.once('ready', async () => {
+    try {
+        moderationActions.init();
+        await urlStore.init();  // Initialize urlStore first
+        await urlTracker.init(); // Then initialize urlTracker
+        await linkPolicy.load();
+        await tierSettings.init();
+        await handleRegistry.init();
+        await reviewQueue.init();
+        await tierRegistry.load();
+        tierRegistry.watch();
+        
+        // Initialize thread cleaner
+        if (threadCleaner.init(THREAD_CLEANUP_SCHEDULE)) {
+            logWithTimestamp(`Thread cleaner scheduled: ${THREAD_CLEANUP_SCHEDULE}`, 'CONFIG');
+        } else {
+            logWithTimestamp('Failed to initialize thread cleaner', 'ERROR');
+        }
+        threadCleaner.resumeInterruptedCleanup(); // Runs in the background, logs its own errors
+        
+        const mainChannel = await client.channels.fetch(process.env.MAIN_CHANNEL_ID);
+        if (!mainChannel || mainChannel.type !== ChannelType.GuildForum) {
+            throw new Error('MAIN_CHANNEL_ID must be a forum channel');
+        }
+        
+        // Records from before user IDs were tracked only know the poster's tag
+        await urlTracker.backfillUserIds(mainChannel.guild);
+
+        await registerSlashCommands(mainChannel.guild);
+        if (LEGACY_COMMANDS) {
+            logWithTimestamp('Legacy !fetch links and !cleanup thread commands are enabled', 'CONFIG');
+        }
+        
+        logWithTimestamp('Bot initialized successfully', 'STARTUP');
+        logWithTimestamp(`Monitoring forum channel: ${mainChannel.name}`, 'CONFIG');
+        
+        // URL cleanup has been disabled
+        logWithTimestamp('URL cleanup has been disabled - URLs will be kept forever', 'CONFIG');
+        
+    } catch (error) {
+        logWithTimestamp(`Initialization error: ${error.message}`, 'FATAL');
+        process.exit(1);
+    }
+});
+
+client.on('messageCreate', async (message) => {
+    try {
+        if (message.author.bot || !message.guild || !message.member) return;
+
+        // Handle fetch links command before forum post check; replaced by /fetch-links
+        if (LEGACY_COMMANDS && message.content.startsWith('!fetch links')) {
+            await handleFetchLinksCommand(message);
+            return;
+        }
+        
+        if (message.content.startsWith('!platforms')) {
+            await handlePlatformsCommand(message);
+            return;
+        }
+
+        const commandName = message.content.trim().split(/\s+/)[0].toLowerCase();
+        if (['!link', '!unlink', '!links', '!approve'].includes(commandName)) {
+            await handleAccountCommand(message, commandName);
+            return;
+        }
+
+        if (message.content.startsWith('!ownership')) {
+            await handleOwnershipCommand(message);
+            return;
+        }
+
+        if (message.content.startsWith('!tiers')) {
+            await handleTiersCommand(message);
+            return;
+        }
+
+        if (message.content.startsWith('!quota')) {
+            await handleQuotaCommand(message);
+            return;
+        }
+
+        if (message.content.startsWith('!override')) {
+            await handleOverrideCommand(message);
+            return;
+        }
+
+        // Add support for manual thread cleanup command; replaced by /cleanup-thread
+        if (LEGACY_COMMANDS && message.content.startsWith('!cleanup thread')) {
+    if (!hasCommandPermission(message.member)) {
+        const embed = new EmbedBuilder()
+            .setColor(ERROR_COLOR)
+            .setDescription(`${message.author}, you don't have permission to use this command. Only server administrators can use it.`)
+            .setFooter({
+                text: 'Botanix Labs',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+        
+        await message.reply({ embeds: [embed] });
+        logWithTimestamp(`Command access denied for user ${message.author.tag} (${message.author.id}) - Administrator permission required`, 'WARN');
+        return;
+    }
+    
+    // Check if this channel is a thread
+    if (!message.channel.isThread()) {
+        await message.reply('This command must be used in a thread to clean that specific thread.');
+        return;
+    }
+    
+    // Check if this thread is one of the configured threads
+    const threadId = message.channel.id;
+    if (!tierRegistry.isTierThread(threadId)) {
+        await message.reply('This command can only be used in the configured tier threads.');
+        return;
+    }
+    
+    const reply = await message.reply('Checking the members of this thread, this may take a moment...');
+    
+    // Show who would be removed; the cleanup only runs once confirmed
+    try {
+        await reply.edit(await cleanupPreview.prepare(message.author, threadId));
+    } catch (error) {
+        await reply.edit('An error occurred while processing the command: ' + error.message);
+    }
+    return;
+}
+
+        const isForumPost = await isMessageInForumPost(message);
+        if (!isForumPost) return;
+
+        if (!checkBotPermissions(message.guild, message.channel)) {
+            logWithTimestamp(`Insufficient permissions in channel ${message.channel.name}`, 'ERROR');
+            return;
+        }
+
+        const threadNameData = await getThreadName(message.channel.id);
+        try {
+            if (checkRateLimit(message.author.id)) return;
+
+            if (tierRegistry.isIgnored(message.member)) return;
+
+            const highestTierIndex = tierRegistry.findHighestTier(message.member.roles.cache);
+            if (highestTierIndex === -1) return;
+
+            const correctThreadId = tierRegistry.getThreadForTier(highestTierIndex);
+            
+            // An approved mistake report lets the member post in the thread once
+            if (message.channel.id !== correctThreadId &&
+                !(await reviewQueue.consumePass(message.author.id, message.channel.id))) {
+                await handleWrongThread(message, correctThreadId);
+                return;
+            }
+
+            const urls = message.content.match(urlTracker.urlRegex);
+            if (urls) {
+                // Create a function for the timeout callback
+                const checkAndStoreUrls = async () => {
+                    try {
+                        const messageExists = await checkMessageExists(message);
+                        if (messageExists) {
+                            await urlTracker.handleUrlMessage(message, urls);
+                        } else {
+                            logWithTimestamp(`Message ${message.id} no longer exists, skipping URL check`, 'INFO');
+                        }
+                    } catch (error) {
+                        logWithTimestamp(`Error in URL check: ${error.message}`, 'ERROR');
+                    }
+                };
+
+                // Set the timeout with the async function
+                setTimeout(checkAndStoreUrls, URL_CHECK_TIMEOUT);
+            }
+        } finally {
+            threadNameData.done();
+        }
+    } catch (error) {
+        logWithTimestamp(`Error processing message: ${error.message}`, 'ERROR');
+    }
+});
+
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+    try {
+        const message = newMessage.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+        if (!message || message.author.bot || !message.guild || !message.member) return;
+
+        // Embeds resolving also fire updates; only content changes matter
+        if (!oldMessage.partial && oldMessage.content === message.content) return;
+
+        const isForumPost = await isMessageInForumPost(message);
+        if (!isForumPost) return;
+
+        if (tierRegistry.isIgnored(message.member)) return;
+
+        const highestTierIndex = tierRegistry.findHighestTier(message.member.roles.cache);
+        if (highestTierIndex === -1) return;
+
+        // Messages in the wrong thread are removed on creation, nothing to re-check
+        if (message.channel.id !== tierRegistry.getThreadForTier(highestTierIndex)) return;
+
+        await urlTracker.handleMessageEdit(oldMessage, message);
+    } catch (error) {
+        logWithTimestamp(`Error processing edited message: ${error.message}`, 'ERROR');
+    }
+});
+
+// Deleted messages usually aren't cached, so these arrive as partials; the stored records are
+// looked up by message ID and don't need anything else
+client.on('messageDelete', async (message) => {
+    if (!message.guildId || message.author?.bot) return;
+    await urlTracker.handleMessageDelete(message);
+});
+
+client.on('messageDeleteBulk', async (messages) => {
+    await urlTracker.handleBulkDelete(messages);
+});
+
+client.on('interactionCreate', async (interaction) => {
+    try {
+        if (interaction.isChatInputCommand()) {
+            await handleSlashCommand(interaction);
+            return;
+        }
+        if (await recordAdmin.handleInteraction(interaction)) return;
+        if (await cleanupPreview.handleInteraction(interaction)) return;
+        await reviewQueue.handleInteraction(interaction);
+    } catch (error) {
+        logWithTimestamp(`Error handling interaction: ${error.message}`, 'ERROR');
+    }
+});
+
+// Role changes and departures update tier thread membership right away
+client.on('guildMemberUpdate', (oldMember, newMember) => {
+    if (!TIER_SYNC || !isMainGuild(newMember.guild)) return;
+    try {
+        tierSync.handleMemberUpdate(oldMember, newMember);
+    } catch (error) {
+        logWithTimestamp(`Error handling member update: ${error.message}`, 'ERROR');
+    }
+});
+
+client.on('guildMemberRemove', async (member) => {
+    if (!TIER_SYNC || !isMainGuild(member.guild)) return;
+    await tierSync.handleMemberRemove(member);
+});
+
+// A moderator reacting with OVERRIDE_EMOJI accepts the refused duplicates of the message
+client.on('messageReactionAdd', async (reaction, user) => {
+    try {
+        if (user.bot || reaction.emoji.name !== OVERRIDE_EMOJI) return;
+
+        if (reaction.partial) {
+            await reaction.fetch();
+        }
+        const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+        if (!message.guild || message.author.bot) return;
+
+        const member = await message.guild.members.fetch(user.id).catch(() => null);
+        if (!member || !hasCommandPermission(member)) return;
+
+        await urlTracker.overrideSubmission(message, user, OVERRIDE_REACTION_MODE);
+    } catch (error) {
+        logWithTimestamp(`Error handling override reaction: ${error.message}`, 'ERROR');
+    }
+});
+
+client.on('error', error => {
+    logWithTimestamp(`Client error: ${error.message}`, 'ERROR');
+});
+
+process.on('uncaughtException', error => {
+    logWithTimestamp(`Fatal error: ${error.message}`, 'FATAL');
+    process.exit(1);
+});
+
+process.on('unhandledRejection', async (reason, promise) => {
+    logWithTimestamp(`Unhandled rejection: ${reason}`, 'ERROR');
+    try {
+        await promise;
+    } catch (error) {
+        logWithTimestamp(`Failed to handle rejection: ${error}`, 'ERROR');
+    }
+});
+
+process.on('SIGINT', async () => {
+    logWithTimestamp('Shutting down...', 'SHUTDOWN');
+    await urlStore.shutdown();
+    await tierSettings.shutdown();
+    await handleRegistry.shutdown();
+    await reviewQueue.shutdown();
+    urlTracker.shutdown();
+    threadCleaner.stop();
+    await threadCleaner.engine.shutdown();
+    tierRegistry.shutdown();
+    tierSync.shutdown();
+    client.destroy();
+    process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+    logWithTimestamp('Shutting down...', 'SHUTDOWN');
+    await urlStore.shutdown();
+    await tierSettings.shutdown();
+    await handleRegistry.shutdown();
+    await reviewQueue.shutdown();
+    urlTracker.shutdown();
+    threadCleaner.stop();
+    await threadCleaner.engine.shutdown();
+    tierRegistry.shutdown();
+    tierSync.shutdown();
+    client.destroy();
+    process.exit(0);
+});
+
+validateEnvironmentVariables();
+
+client.login(process.env.DISCORD_TOKEN).catch(error => {
+    logWithTimestamp(`Login failed: ${error.message}`, 'FATAL');
+    process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,139 @@
+const path = require('path');
+const { logWithTimestamp, atomicWriteFile, readJsonWithBackup } = require('./utils');
+const WriteQueue = require('./writeQueue');
+
+const LINK_STATUSES = ['pending', 'approved'];
+
+// Social accounts members have linked to their Discord account, stored next to the URL DB as
+// HANDLES_<mainChannelId>.json. Members request a link and an admin approves it; only approved
+// links prove that content from the account belongs to the member.
+//
+//   userId       Discord user ID of the member
+//   platform     platform name from UrlCanonicalizer (x, youtube, medium, ...)
+//   handle       account on that platform, lowercase and without '@' (see urlCanonicalizer.js)
+//   status       'pending' or 'approved'
+//   requestedAt  when the member asked for the link
+//   approvedBy   user ID of the admin who approved it, or null
+//   approvedAt   when it was approved, or null
+class HandleRegistry {
+    constructor(options = {}) {
+        this.mainChannelId = options.mainChannelId || null;
+        this.registryFile = '';
+        this.links = [];
+        this.writeQueue = new WriteQueue(() => this.save());
+    }
+
+    async init() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+
+        this.registryFile = path.join(__dirname, `HANDLES_${mainChannelId}.json`);
+        const data = await readJsonWithBackup(this.registryFile, { links: [] });
+        this.links = (data.links || []).filter(link => LINK_STATUSES.includes(link.status));
+        logWithTimestamp(`Handle registry loaded with ${this.links.length} linked accounts`, 'STARTUP');
+    }
+
+    async save() {
+        await atomicWriteFile(this.registryFile, JSON.stringify({ links: this.links }, null, 2), { backup: true });
+    }
+
+    normalizeHandle(handle) {
+        return (handle || '').trim().toLowerCase().replace(/^@/, '');
+    }
+
+    findLink(userId, platform, handle) {
+        const normalized = this.normalizeHandle(handle);
+        return this.links.find(link =>
+            link.userId === userId && link.platform === platform && link.handle === normalized) || null;
+    }
+
+    // The member an account is approved for, if any
+    findOwner(platform, handle) {
+        const normalized = this.normalizeHandle(handle);
+        const link = this.links.find(link =>
+            link.status === 'approved' && link.platform === platform && link.handle === normalized);
+        return link ? link.userId : null;
+    }
+
+    getLinks(userId) {
+        return this.links.filter(link => link.userId === userId);
+    }
+
+    getPending() {
+        return this.links.filter(link => link.status === 'pending');
+    }
+
+    // Returns the link, which stays pending until an admin approves it
+    async requestLink(userId, platform, handle) {
+        const normalized = this.normalizeHandle(handle);
+        if (!normalized) {
+            throw new Error('Handle is empty');
+        }
+
+        const owner = this.findOwner(platform, normalized);
+        if (owner && owner !== userId) {
+            throw new Error(`${platform} account ${normalized} is already linked to another member`);
+        }
+
+        const existing = this.findLink(userId, platform, normalized);
+        if (existing) return existing;
+
+        const link = {
+            userId,
+            platform,
+            handle: normalized,
+            status: 'pending',
+            requestedAt: Date.now(),
+            approvedBy: null,
+            approvedAt: null
+        };
+        this.links.push(link);
+        await this.writeQueue.push([link]);
+        logWithTimestamp(`User ${userId} requested link to ${platform} account ${normalized}`, 'INFO');
+        return link;
+    }
+
+    // Admins can approve a link the member never requested, e.g. after checking it elsewhere
+    async approveLink(userId, platform, handle, approvedBy) {
+        const normalized = this.normalizeHandle(handle);
+        const owner = this.findOwner(platform, normalized);
+        if (owner && owner !== userId) {
+            throw new Error(`${platform} account ${normalized} is already linked to another member`);
+        }
+
+        const link = this.findLink(userId, platform, normalized) || await this.requestLink(userId, platform, normalized);
+        if (link.status === 'approved') return link;
+
+        link.status = 'approved';
+        link.approvedBy = approvedBy;
+        link.approvedAt = Date.now();
+        await this.writeQueue.push([link]);
+        logWithTimestamp(`Link of user ${userId} to ${platform} account ${normalized} approved by ${approvedBy}`, 'INFO');
+        return link;
+    }
+
+    // Returns the removed link, or null if there was none
+    async removeLink(userId, platform, handle) {
+        const link = this.findLink(userId, platform, handle);
+        if (!link) return null;
+
+        this.links = this.links.filter(candidate => candidate !== link);
+        await this.writeQueue.push([link]);
+        logWithTimestamp(`Link of user ${userId} to ${platform} account ${link.handle} removed`, 'INFO');
+        return link;
+    }
+
+    // 'approved' or 'pending' if the member linked the account, null if they didn't
+    getLinkStatus(userId, platform, handle) {
+        const link = this.findLink(userId, platform, handle);
+        return link ? link.status : null;
+    }
+
+    async shutdown() {
+        await this.writeQueue.drain();
+    }
+}
+
+module.exports = HandleRegistry;
\ No newline at end of file
@@ -0,0 +1,159 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logWithTimestamp } = require('./utils');
+const { canonicalizer: defaultCanonicalizer } = require('./urlCanonicalizer');
+const { LINK_POLICY_FILE } = require('./config');
+
+// What happens to a message with a URL matching a rule:
+//   delete  the message is removed and the poster gets the rule's message
+//   warn    the URL is refused (not claimed) and the poster gets the rule's message
+//   react   the rule's reaction is added; the URL then goes through the duplicate check
+//   log     only reported in the log channel; the URL then goes through the duplicate check
+//   allow   no other rule applies to the URL
+const ACTIONS = ['delete', 'warn', 'react', 'log', 'allow'];
+
+const DEFAULT_REACTION = '⚠️';
+const DEFAULT_MESSAGE = "this link isn't allowed here";
+
+// Rules are read from LINK_POLICY_FILE (see link_policy.example.json):
+//   {
+//     "rules": [
+//       {
+//         "name": "company-accounts",
+//         "domains": ["x.com"],            // host or parent domain, aliases like twitter.com count
+//         "handles": ["botanixlabs"],      // account the URL belongs to, see urlCanonicalizer.js
+//         "pathPattern": "^/status/",      // regular expression tested against the URL path
+//         "action": "delete",
+//         "message": "simply resharing Botanix tweets doesn't add much value",
+//         "reaction": "⚠️",                // for "react"
+//         "threads": ["123456789012345678"], // only in these tier threads; all threads if omitted
+//         "priority": 100,                 // highest priority wins, file order breaks ties
+//         "dryRun": true                   // only log what the rule would do, see moderationActions.js
+//       }
+//     ]
+//   }
+// A rule matches when every criterion it sets matches, so it needs at least one of
+// domains, handles or pathPattern. Dry run rules are left out of evaluate(), so the URL is
+// handled as if they didn't exist; evaluateDryRun() tells when one of them would have won.
+class LinkPolicy {
+    constructor(options = {}) {
+        this.canonicalizer = options.canonicalizer || defaultCanonicalizer;
+        this.filePath = options.filePath || path.resolve(__dirname, LINK_POLICY_FILE);
+        this.rules = [];
+    }
+
+    async load() {
+        let raw = null;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (raw === null) {
+            this.setRules(this.legacyRules());
+            logWithTimestamp(`No link policy file at ${this.filePath}, using ${this.rules.length} rules from environment variables`, 'CONFIG');
+            return this.rules;
+        }
+
+        const config = JSON.parse(raw);
+        if (!Array.isArray(config.rules)) {
+            throw new Error(`${path.basename(this.filePath)} must contain a "rules" array`);
+        }
+
+        this.setRules(config.rules);
+        logWithTimestamp(`Loaded ${this.rules.length} link policy rules from ${path.basename(this.filePath)}`, 'CONFIG');
+        return this.rules;
+    }
+
+    // Before the policy file existed, the only rule was a substring match on BOTANIX_TWITTER
+    legacyRules() {
+        const botanixTwitterValue = (process.env.BOTANIX_TWITTER || '').trim();
+        if (!botanixTwitterValue) return [];
+
+        return [{
+            name: 'BOTANIX_TWITTER',
+            contains: botanixTwitterValue,
+            action: 'delete',
+            message: "simply resharing Botanix tweets doesn't add much value\nPlease contribute with your own original content"
+        }];
+    }
+
+    // Invalid rules are skipped with a warning so one typo doesn't disable the whole policy
+    setRules(rules) {
+        this.rules = rules
+            .map((rule, index) => {
+                try {
+                    return this.compileRule(rule, index);
+                } catch (error) {
+                    logWithTimestamp(`Skipping link policy rule ${rule?.name || `#${index + 1}`}: ${error.message}`, 'WARN');
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.priority - a.priority || a.index - b.index);
+    }
+
+    compileRule(rule, index) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error('rule is not an object');
+        }
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`unknown action ${rule.action}`);
+        }
+
+        const compiled = {
+            name: rule.name || `rule ${index + 1}`,
+            action: rule.action,
+            message: rule.message || DEFAULT_MESSAGE,
+            reaction: rule.reaction || DEFAULT_REACTION,
+            priority: Number.isFinite(rule.priority) ? rule.priority : 0,
+            index,
+            domains: (rule.domains || []).map(domain => this.canonicalizer.normalizeHost(domain)),
+            handles: (rule.handles || []).map(handle => handle.toLowerCase().replace(/^@/, '')),
+            pathPattern: rule.pathPattern ? new RegExp(rule.pathPattern, 'i') : null,
+            contains: rule.contains ? rule.contains.toLowerCase() : null,
+            threads: rule.threads && rule.threads.length > 0 ? new Set(rule.threads) : null,
+            dryRun: rule.dryRun === true
+        };
+
+        if (compiled.domains.length === 0 && compiled.handles.length === 0 && !compiled.pathPattern && !compiled.contains) {
+            throw new Error('rule needs domains, handles or pathPattern');
+        }
+        return compiled;
+    }
+
+    matches(rule, url, described, threadId) {
+        if (rule.threads && !rule.threads.has(threadId)) return false;
+        if (rule.contains && !url.toLowerCase().includes(rule.contains)) return false;
+        if (rule.domains.length > 0 || rule.handles.length > 0 || rule.pathPattern) {
+            if (!described) return false;
+        }
+        if (rule.domains.length > 0 &&
+            !rule.domains.some(domain => described.host === domain || described.host.endsWith(`.${domain}`))) {
+            return false;
+        }
+        if (rule.handles.length > 0 && !rule.handles.includes(described.handle)) return false;
+        if (rule.pathPattern && !rule.pathPattern.test(described.path)) return false;
+        return true;
+    }
+
+    // Returns the highest priority rule matching a URL posted in a thread, or null.
+    // A matching "allow" rule is returned too, so it overrides lower priority rules.
+    evaluate(url, threadId) {
+        const described = this.canonicalizer.describe(url);
+        return this.rules.find(rule => !rule.dryRun && this.matches(rule, url, described, threadId)) || null;
+    }
+
+    // Returns the dry run rule that would win for a URL if it were live, or null
+    evaluateDryRun(url, threadId) {
+        const described = this.canonicalizer.describe(url);
+        const rule = this.rules.find(candidate => this.matches(candidate, url, described, threadId));
+        return rule && rule.dryRun ? rule : null;
+    }
+}
+
+module.exports = {
+    LinkPolicy,
+    ACTIONS
+};
\ No newline at end of file
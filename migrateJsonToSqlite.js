@@ -0,0 +1,59 @@
+// One-shot import of URL_DB_<id>.json files (and any pending journal) into URL_DB_<id>.sqlite.
+// Usage: node migrateJsonToSqlite.js [mainChannelId ...]
+// Needs the better-sqlite3 package (npm install better-sqlite3), like STORAGE_BACKEND=sqlite.
+// Without arguments every URL_DB_*.json file next to this script is imported.
+// Re-running is safe: entries already in the SQLite database are skipped.
+// Records that fail validation are reported and skipped. Legacy records that only know the
+// poster's tag get their user ID on bot startup, so start the bot on the JSON backend once first.
+require('dotenv').config();
+const fs = require('fs/promises');
+const { logWithTimestamp } = require('./utils');
+const { createUrlStorage } = require('./storageAdapter');
+
+async function findJsonDatabases() {
+    const files = await fs.readdir(__dirname);
+    return files
+        .map(file => file.match(/^URL_DB_(\d+)\.json$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+async function migrate(mainChannelId) {
+    const source = createUrlStorage('json', { mainChannelId });
+    const target = createUrlStorage('sqlite', { mainChannelId });
+
+    try {
+        await source.init();
+        await target.init();
+
+        let found = 0;
+        let imported = 0;
+        for (const channelId of await source.getAllChannelIds()) {
+            const urls = source.getUrls(channelId);
+            found += urls.length;
+            imported += await target.saveUrls(channelId, urls);
+        }
+
+        logWithTimestamp(`Migrated URL_DB_${mainChannelId}: ${imported} of ${found} entries imported`, 'INFO');
+    } finally {
+        await source.shutdown();
+        await target.shutdown();
+    }
+}
+
+async function main() {
+    const mainChannelIds = process.argv.length > 2 ? process.argv.slice(2) : await findJsonDatabases();
+    if (mainChannelIds.length === 0) {
+        logWithTimestamp('No URL_DB_*.json files found to migrate', 'WARN');
+        return;
+    }
+
+    for (const mainChannelId of mainChannelIds) {
+        await migrate(mainChannelId);
+    }
+}
+
+main().catch(error => {
+    logWithTimestamp(`Migration failed: ${error.message}`, 'FATAL');
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { logWithTimestamp, appendFileDurable } = require('./utils');
+const { contentPreview, replyAndRemove } = require('./notices');
+const { DRY_RUN } = require('./config');
+
+const SIMULATED_COLOR = '#9b59b6';
+
+const ACTION_LABELS = {
+    reply: 'Reply to message',
+    delete: 'Delete message',
+    remove: 'Remove message with notice',
+    react: 'React to message',
+    remove_member: 'Remove member from thread',
+    add_member: 'Add member to thread',
+    send: 'Send message to thread',
+    dm: 'Send direct message',
+    policy_rule: 'Apply link policy rule'
+};
+
+// What a shadowed link policy rule would have done to the message
+const RULE_OUTCOMES = {
+    delete: 'delete the message and reply with the rule message',
+    warn: 'refuse the URL and reply with the rule message',
+    react: 'react to the message',
+    log: 'report the URL in the log channel',
+    allow: 'accept the URL, skipping lower priority rules'
+};
+
+// Every action the moderation pipeline takes on members' messages and thread membership goes
+// through here. With DRY_RUN set nothing is done: each action is logged as simulated, to the log
+// channel and to DRY_RUN_DECISIONS_<mainChannelId>.jsonl (one JSON decision per line). Link policy
+// rules marked "dryRun" are reported the same way while the rest of the bot runs live.
+//
+// Only Discord side effects are simulated. Submissions are still stored, so verdicts in a dry run
+// are the ones the bot would give live.
+class ModerationActions {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.dryRun = options.dryRun ?? DRY_RUN;
+        this.mainChannelId = options.mainChannelId || null;
+        this.writeChain = Promise.resolve(); // keeps decisions in order in the file
+    }
+
+    init() {
+        if (this.dryRun) {
+            logWithTimestamp(`Dry run enabled: moderation actions are only logged to ${path.basename(this.getDecisionsFile())}`, 'CONFIG');
+        }
+    }
+
+    getDecisionsFile() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+        return path.join(__dirname, `DRY_RUN_DECISIONS_${mainChannelId}.jsonl`);
+    }
+
+    // Each action takes context: { reason } saying why it's taken, for the decision log
+    async reply(message, payload, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('reply', message, { ...context, notice: this.describePayload(payload) });
+            return null;
+        }
+        return message.reply(payload);
+    }
+
+    async deleteMessage(message, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('delete', message, context);
+            return;
+        }
+        if (message.deletable) {
+            await message.delete();
+        }
+    }
+
+    async react(message, emoji, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('react', message, { ...context, emoji });
+            return;
+        }
+        await message.react(emoji);
+    }
+
+    // See notices.js
+    async replyAndRemove(message, embed, components = [], context = {}) {
+        if (this.dryRun) {
+            await this.simulate('remove', message, { ...context, notice: this.describePayload({ embeds: [embed] }) });
+            return;
+        }
+        await replyAndRemove(message, embed, components);
+    }
+
+    async removeThreadMember(thread, memberId, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('remove_member', null, { ...context, threadId: thread.id, memberId });
+            return;
+        }
+        await thread.members.remove(memberId);
+    }
+
+    async addThreadMember(thread, memberId, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('add_member', null, { ...context, threadId: thread.id, memberId });
+            return;
+        }
+        await thread.members.add(memberId);
+    }
+
+    // memberId is who the message is about, for the decision log
+    async send(channel, content, memberId, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('send', null, { ...context, threadId: channel.id, memberId, notice: content });
+            return null;
+        }
+        return channel.send(content);
+    }
+
+    // Throws if the member can't be messaged, e.g. when they don't accept DMs from the server
+    async sendDirectMessage(memberId, content, context = {}) {
+        if (this.dryRun) {
+            await this.simulate('dm', null, { ...context, memberId, notice: content });
+            return null;
+        }
+        const user = await this.client.users.fetch(memberId);
+        return user.send(content);
+    }
+
+    // Link policy rules with "dryRun": true never act; the pipeline reports here what they would have done
+    async simulateRule(message, url, rule) {
+        await this.simulate('policy_rule', message, {
+            reason: `${rule.name} (${rule.action}) would ${RULE_OUTCOMES[rule.action]}`,
+            rule: rule.name,
+            url,
+            notice: ['delete', 'warn'].includes(rule.action) ? rule.message : null,
+            emoji: rule.action === 'react' ? rule.reaction : null
+        });
+    }
+
+    describePayload(payload) {
+        const embed = payload.embeds?.[0];
+        const data = embed?.toJSON ? embed.toJSON() : embed;
+        return [payload.content, data?.title, data?.description].filter(Boolean).join('\n') || null;
+    }
+
+    async simulate(action, message, context = {}) {
+        const decision = {
+            simulated: true,
+            action,
+            at: Date.now(),
+            reason: context.reason || null,
+            rule: context.rule || null,
+            url: context.url || null,
+            guildId: message ? message.guild?.id || null : null,
+            channelId: message ? message.channel.id : context.threadId || null,
+            messageId: message ? message.id : null,
+            userId: message ? message.author.id : context.memberId,
+            content: message ? contentPreview(message) : null,
+            notice: context.notice || null,
+            emoji: context.emoji || null
+        };
+
+        const target = message ? `message ${message.id} by ${message.author.id}` : `member ${decision.userId}`;
+        logWithTimestamp(`[DRY RUN] ${ACTION_LABELS[action]}: ${target}${decision.channelId ? ` in ${decision.channelId}` : ''}${decision.reason ? ` (${decision.reason})` : ''}`, 'INFO');
+
+        await this.writeDecision(decision);
+        await this.sendLog(decision);
+        return decision;
+    }
+
+    async writeDecision(decision) {
+        this.writeChain = this.writeChain
+            .then(() => appendFileDurable(this.getDecisionsFile(), JSON.stringify(decision) + '\n'))
+            .catch(error => logWithTimestamp(`Error writing dry run decision: ${error.message}`, 'ERROR'));
+        await this.writeChain;
+    }
+
+    async sendLog(decision) {
+        try {
+            const logChannelId = process.env.LOG_CHANNEL_ID;
+            if (!logChannelId) return false;
+
+            const logChannel = await this.client.channels.fetch(logChannelId).catch(() => null);
+            if (!logChannel) {
+                logWithTimestamp(`Failed to fetch log channel (${logChannelId}), ensure it exists and bot has access`, 'ERROR');
+                return false;
+            }
+
+            const fields = [
+                { name: decision.messageId ? 'Sender' : 'Member', value: `<@${decision.userId}> (${decision.userId})` }
+            ];
+            if (decision.messageId) {
+                fields.push({ name: 'Message', value: `https://discord.com/channels/${decision.guildId}/${decision.channelId}/${decision.messageId}` });
+            } else if (decision.channelId) {
+                fields.push({ name: 'Thread', value: `<#${decision.channelId}>` });
+            }
+            if (decision.reason) fields.push({ name: 'Reason', value: decision.reason.substring(0, 1024) });
+            if (decision.url) fields.push({ name: 'URL', value: decision.url.substring(0, 1024) });
+            if (decision.notice) fields.push({ name: 'Notice', value: decision.notice.substring(0, 1024) });
+            if (decision.emoji) fields.push({ name: 'Reaction', value: decision.emoji });
+
+            const embed = new EmbedBuilder()
+                .setColor(SIMULATED_COLOR)
+                .setTitle(`🧪 Simulated: ${ACTION_LABELS[decision.action]}`)
+                .setDescription('Dry run, nothing was done')
+                .addFields(...fields)
+                .setTimestamp(decision.at)
+                .setFooter({
+                    text: 'Botanix Labs URL Tracker',
+                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+                });
+
+            await logChannel.send({ embeds: [embed] });
+            return true;
+        } catch (error) {
+            logWithTimestamp(`Error sending dry run log to channel: ${error.message}`, 'ERROR');
+            return false;
+        }
+    }
+}
+
+module.exports = ModerationActions;
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { EmbedBuilder } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+const { AUTO_DELETE_TIMER } = require('./config');
+
+const MAX_TEXT_LENGTH = 200;
+const ERROR_COLOR = '#f2b518';
+
+// What the removed message said, so the member doesn't lose what they wrote
+function contentPreview(message) {
+    const hasAttachments = message.attachments.size > 0;
+    return hasAttachments
+        ? 'User uploaded file(s)'
+        : message.content.length > MAX_TEXT_LENGTH
+            ? message.content.substring(0, MAX_TEXT_LENGTH) + '...'
+            : message.content || 'No content';
+}
+
+// Notice for a message that is about to be removed; fields go above the content preview
+function buildRemovalEmbed(message, description, fields = []) {
+    return new EmbedBuilder()
+        .setColor(ERROR_COLOR)
+        .setDescription(`${message.author}, ${description}`)
+        .addFields(
+            ...fields,
+            {
+                name: 'Your message content:',
+                value: contentPreview(message)
+            }
+        )
+        .setFooter({
+            text: 'Botanix Labs',
+            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+        })
+        .setTimestamp();
+}
+
+// Reply with the notice, remove the message and clean the notice up after AUTO_DELETE_TIMER.
+// A notice with components (like the report button) is kept, so they stay usable.
+// The message is removed even if the reply fails.
+async function replyAndRemove(message, embed, components = []) {
+    try {
+        const replyMessage = await message.reply({ embeds: [embed], components });
+        if (message.deletable) {
+            await message.delete();
+        }
+
+        if (AUTO_DELETE_TIMER > 0 && components.length === 0) {
+            setTimeout(async () => {
+                try {
+                    if (replyMessage.deletable) {
+                        await replyMessage.delete();
+                    }
+                } catch (error) {
+                    logWithTimestamp(`Error deleting reply: ${error.message}`, 'ERROR');
+                }
+            }, AUTO_DELETE_TIMER);
+        }
+    } catch (error) {
+        logWithTimestamp(`Error removing message ${message.id}: ${error.message}`, 'ERROR');
+        if (message.deletable) {
+            await message.delete().catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    ERROR_COLOR,
+    contentPreview,
+    buildRemovalEmbed,
+    replyAndRemove
+};
\ No newline at end of file
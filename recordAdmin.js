@@ -0,0 +1,258 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+
+// Confirmations are kept in memory only: after this long, or a restart, the command has to be run again
+const CONFIRM_TIMEOUT = 120000; // 2 minutes
+const PREVIEW_LIMIT = 10;
+
+// Button custom IDs: records:<confirm|cancel>:<operationId>
+const RECORDS_PREFIX = 'records';
+
+const OPERATION_TITLES = {
+    delete: 'Delete URL Record',
+    reassign: 'Reassign URL Record',
+    purge: 'Purge URL Records'
+};
+
+// Accepts YYYY-MM-DD (UTC); an end date includes the whole day. Returns null if it can't be parsed.
+function parseDate(value, endOfDay = false) {
+    const date = (value || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+    const time = Date.parse(`${date}T00:00:00Z`);
+    // Rejects dates that don't exist, like 2024-02-30
+    if (isNaN(time) || new Date(time).toISOString().slice(0, 10) !== date) return null;
+    return endOfDay ? time + 86400000 - 1 : time;
+}
+
+function confirmComponents(operationId, disabled = false) {
+    return [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${RECORDS_PREFIX}:confirm:${operationId}`)
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId(`${RECORDS_PREFIX}:cancel:${operationId}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled)
+    )];
+}
+
+// Admin changes to stored URL records: removing a record, reassigning it to another member and
+// purging records by member, thread or date range. Every change is previewed first and only
+// applied once the admin who asked for it confirms; applied changes go to the log channel.
+//
+// Deleting and purging remove records outright instead of leaving a tombstone, so a URL whose
+// claim is removed can be submitted again as new.
+class RecordAdmin {
+    constructor(client, urlTracker) {
+        this.client = client;
+        this.urlTracker = urlTracker;
+        this.urlStore = urlTracker.urlStore;
+        this.pending = new Map(); // operationId -> { id, type, userId, entries, ..., expiresAt }
+        this.nextOperationId = 1;
+    }
+
+    // Record of a URL: the one in messageId if given, otherwise the one holding the claim
+    async findRecord(url, messageId = null) {
+        if (!messageId) {
+            return this.urlStore.findUrlHistory(url);
+        }
+        const canonicalUrl = this.urlStore.canonicalize(url);
+        const entries = await this.urlStore.getUrlsByMessage(messageId);
+        return entries.find(entry => entry.canonicalUrl === canonicalUrl) || null;
+    }
+
+    // Records matching every filter given; at least one filter is required
+    async findRecords({ userId = null, threadId = null, from = null, to = null }) {
+        if (!userId && !threadId && from === null && to === null) {
+            throw new Error('Give at least one of member, thread, from or to');
+        }
+
+        let entries;
+        if (userId) {
+            entries = await this.urlStore.getUrlsByUser(userId);
+        } else if (threadId) {
+            entries = await this.urlStore.getUrlsByThread(threadId);
+        } else {
+            entries = [];
+            for (const channelId of await this.urlStore.getAllChannelIds()) {
+                entries.push(...await this.urlStore.getUrls(channelId));
+            }
+        }
+
+        return entries
+            .filter(entry => !threadId || entry.threadId === threadId)
+            .filter(entry => from === null || (entry.timestamp || 0) >= from)
+            .filter(entry => to === null || (entry.timestamp || 0) <= to)
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    // Stores an operation until it's confirmed and returns the reply asking for confirmation
+    prepare(type, requestedBy, entries, details = {}) {
+        if (entries.length === 0) {
+            return { content: 'No URL records match, nothing to change.', ephemeral: true };
+        }
+
+        const operation = {
+            id: this.nextOperationId++,
+            type,
+            userId: requestedBy.id,
+            entries,
+            ...details,
+            expiresAt: Date.now() + CONFIRM_TIMEOUT
+        };
+        this.pending.set(operation.id, operation);
+        setTimeout(() => this.pending.delete(operation.id), CONFIRM_TIMEOUT).unref?.();
+
+        return {
+            embeds: [this.buildPreviewEmbed(operation)],
+            components: confirmComponents(operation.id),
+            ephemeral: true
+        };
+    }
+
+    async prepareDelete(requestedBy, url, messageId = null) {
+        const entry = await this.findRecord(url, messageId);
+        return this.prepare('delete', requestedBy, entry ? [entry] : []);
+    }
+
+    async prepareReassign(requestedBy, url, newOwner, messageId = null) {
+        const entry = await this.findRecord(url, messageId);
+        if (entry && entry.userId === newOwner.id) {
+            return { content: `That record already belongs to ${newOwner}.`, ephemeral: true };
+        }
+        return this.prepare('reassign', requestedBy, entry ? [entry] : [], {
+            newUserId: newOwner.id,
+            newAuthor: newOwner.tag
+        });
+    }
+
+    async preparePurge(requestedBy, filters) {
+        const entries = await this.findRecords(filters);
+        return this.prepare('purge', requestedBy, entries, { filters });
+    }
+
+    describeFilters({ userId, threadId, from, to }) {
+        return [
+            userId ? `member <@${userId}>` : null,
+            threadId ? `thread <#${threadId}>` : null,
+            from !== null ? `from ${new Date(from).toISOString().slice(0, 10)}` : null,
+            to !== null ? `to ${new Date(to).toISOString().slice(0, 10)}` : null
+        ].filter(Boolean).join(', ');
+    }
+
+    buildPreviewEmbed(operation) {
+        const count = operation.entries.length;
+        let action;
+        switch (operation.type) {
+            case 'reassign':
+                action = `will be reassigned to <@${operation.newUserId}>`;
+                break;
+            case 'purge':
+                action = `${count === 1 ? 'matches' : 'match'} ${this.describeFilters(operation.filters)} and will be deleted`;
+                break;
+            default:
+                action = 'will be deleted';
+        }
+
+        const lines = operation.entries.slice(0, PREVIEW_LIMIT).map(entry =>
+            `${entry.url} by <@${entry.userId}> in <#${entry.threadId || entry.channelId}> (${entry.status})`);
+        if (count > PREVIEW_LIMIT) {
+            lines.push(`...and ${count - PREVIEW_LIMIT} more`);
+        }
+
+        return new EmbedBuilder()
+            .setColor('#ff9900')
+            .setTitle(OPERATION_TITLES[operation.type])
+            .setDescription(`${count} URL record${count === 1 ? '' : 's'} ${action}. This can't be undone.`)
+            .addFields({ name: 'Records', value: lines.join('\n').substring(0, 1024) })
+            .setFooter({ text: `Confirm within ${CONFIRM_TIMEOUT / 60000} minutes` });
+    }
+
+    // Routes the buttons of this module; returns false for interactions it doesn't own
+    async handleInteraction(interaction) {
+        if (!interaction.isButton()) return false;
+
+        const [prefix, action, operationId] = interaction.customId.split(':');
+        if (prefix !== RECORDS_PREFIX) return false;
+
+        try {
+            const operation = this.pending.get(parseInt(operationId));
+            if (!operation || operation.expiresAt < Date.now()) {
+                await interaction.update({ content: 'This confirmation expired, run the command again.', embeds: [], components: [] });
+                return true;
+            }
+            if (interaction.user.id !== operation.userId) {
+                await interaction.reply({ content: 'Only the administrator who ran the command can confirm it.', ephemeral: true });
+                return true;
+            }
+
+            // Take it out before applying it, so a second click can't apply it twice
+            this.pending.delete(operation.id);
+            if (action !== 'confirm') {
+                await interaction.update({ content: 'Cancelled, nothing was changed.', embeds: [], components: [] });
+                return true;
+            }
+
+            await interaction.update({ components: confirmComponents(operation.id, true) });
+            const changed = await this.apply(operation, interaction.user);
+            await interaction.editReply({
+                content: `Done: ${changed} of ${operation.entries.length} URL records ${operation.type === 'reassign' ? 'reassigned' : 'deleted'}.`,
+                embeds: [],
+                components: []
+            });
+        } catch (error) {
+            logWithTimestamp(`Error handling ${interaction.customId}: ${error.message}`, 'ERROR');
+            const reply = { content: 'An error occurred while processing this: ' + error.message, ephemeral: true };
+            await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+        }
+        return true;
+    }
+
+    // Returns the number of records changed; records changed since the preview are skipped
+    async apply(operation, admin) {
+        let changed = 0;
+        for (const entry of operation.entries) {
+            const done = await this.urlStore.withUrlLock(entry.canonicalUrl, () => operation.type === 'reassign'
+                ? this.urlStore.updateEntries([{
+                    messageId: entry.messageId,
+                    canonicalUrl: entry.canonicalUrl,
+                    changes: { userId: operation.newUserId, author: operation.newAuthor }
+                }])
+                : this.urlStore.removeEntry(entry.messageId, entry.canonicalUrl));
+            if (done) changed++;
+        }
+
+        logWithTimestamp(`${OPERATION_TITLES[operation.type]}: ${changed} of ${operation.entries.length} records changed by ${admin.tag} (${admin.id})`, 'INFO');
+        await this.sendAuditLog(operation, admin, changed);
+        return changed;
+    }
+
+    async sendAuditLog(operation, admin, changed) {
+        const urls = operation.entries.slice(0, PREVIEW_LIMIT).map(entry => `${entry.url} (<@${entry.userId}>)`);
+        if (operation.entries.length > PREVIEW_LIMIT) {
+            urls.push(`...and ${operation.entries.length - PREVIEW_LIMIT} more`);
+        }
+
+        const fields = [
+            { name: 'Admin', value: `${admin} (${admin.tag})`, inline: true },
+            { name: 'Records changed', value: `${changed} of ${operation.entries.length}`, inline: true }
+        ];
+        if (operation.type === 'reassign') {
+            fields.push({ name: 'Reassigned to', value: `<@${operation.newUserId}> (${operation.newAuthor})`, inline: true });
+        }
+        if (operation.type === 'purge') {
+            fields.push({ name: 'Matching', value: this.describeFilters(operation.filters) });
+        }
+        fields.push({ name: 'Records', value: urls.join('\n').substring(0, 1024) });
+
+        await this.urlTracker.sendLogToChannel(`${OPERATION_TITLES[operation.type]} by Admin`, fields);
+    }
+}
+
+module.exports = {
+    RecordAdmin,
+    parseDate
+};
\ No newline at end of file
@@ -0,0 +1,336 @@
+const path = require('path');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { logWithTimestamp, atomicWriteFile, readJsonWithBackup } = require('./utils');
+const WriteQueue = require('./writeQueue');
+const { REVIEW_CHANNEL_ID } = require('./config');
+
+const CASE_TYPES = ['duplicate', 'wrong_thread'];
+const CASE_STATUSES = ['open', 'approved', 'rejected'];
+
+const CASE_TYPE_LABELS = {
+    duplicate: 'URL refused as a duplicate',
+    wrong_thread: 'Message removed from the wrong thread'
+};
+
+// Button custom IDs carry everything needed to find their case, so buttons on old messages
+// keep working after a restart:
+//   report:<type>:<userId>:<ref>    on warnings; ref is the refused message (duplicate) or the
+//                                   thread the message was removed from (wrong_thread)
+//   review:<approve|reject>:<caseId>  on the case posted to the review channel
+const REPORT_PREFIX = 'report';
+const REVIEW_PREFIX = 'review';
+
+// "This is a mistake" button for a warning; no components when REVIEW_CHANNEL_ID isn't set
+function reportComponents(type, userId, ref, disabled = false) {
+    if (!REVIEW_CHANNEL_ID) return [];
+
+    return [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${REPORT_PREFIX}:${type}:${userId}:${ref}`)
+            .setLabel(disabled ? 'Reported' : 'This is a mistake')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled)
+    )];
+}
+
+function reviewComponents(caseId, disabled = false) {
+    return [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${REVIEW_PREFIX}:approve:${caseId}`)
+            .setLabel('Approve')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId(`${REVIEW_PREFIX}:reject:${caseId}`)
+            .setLabel('Reject')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled)
+    )];
+}
+
+// Members report warnings they think are wrong; each report becomes a case in
+// REVIEW_CASES_<mainChannelId>.json and a message with Approve/Reject buttons in REVIEW_CHANNEL_ID.
+//
+//   id               case number
+//   type             one of CASE_TYPES
+//   status           one of CASE_STATUSES
+//   userId           member who reported it
+//   guildId, channelId  where the warned message was posted
+//   messageId        the warned message; wrong thread messages are already removed
+//   content          what the message said
+//   warning          what the bot told the member
+//   openedAt
+//   reviewMessageId  the case message in the review channel, or null if it couldn't be posted
+//   reviewedBy, reviewedAt
+//   passUsedAt       approved wrong_thread cases let the member post once in that thread;
+//                    when they did, or null
+class ReviewQueue {
+    constructor(client, urlTracker, options = {}) {
+        this.client = client;
+        this.urlTracker = urlTracker;
+        this.mainChannelId = options.mainChannelId || null;
+        this.casesFile = '';
+        this.cases = [];
+        this.writeQueue = new WriteQueue(() => this.save());
+    }
+
+    async init() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+
+        this.casesFile = path.join(__dirname, `REVIEW_CASES_${mainChannelId}.json`);
+        const data = await readJsonWithBackup(this.casesFile, { cases: [] });
+        this.cases = (data.cases || []).filter(reviewCase =>
+            CASE_TYPES.includes(reviewCase.type) && CASE_STATUSES.includes(reviewCase.status));
+
+        const openCount = this.cases.filter(reviewCase => reviewCase.status === 'open').length;
+        logWithTimestamp(`Review queue loaded with ${this.cases.length} cases (${openCount} open)`, 'STARTUP');
+        if (!REVIEW_CHANNEL_ID) {
+            logWithTimestamp('REVIEW_CHANNEL_ID not set, warnings are shown without a report button', 'CONFIG');
+        }
+    }
+
+    async save() {
+        await atomicWriteFile(this.casesFile, JSON.stringify({ cases: this.cases }, null, 2), { backup: true });
+    }
+
+    getCase(caseId) {
+        return this.cases.find(reviewCase => reviewCase.id === caseId) || null;
+    }
+
+    // Routes the buttons of this module; returns false for interactions it doesn't own
+    async handleInteraction(interaction) {
+        if (!interaction.isButton()) return false;
+
+        const [prefix, action, ...rest] = interaction.customId.split(':');
+        try {
+            if (prefix === REPORT_PREFIX) {
+                await this.handleReport(interaction, action, rest[0], rest[1]);
+                return true;
+            }
+            if (prefix === REVIEW_PREFIX) {
+                await this.handleDecision(interaction, action, parseInt(rest[0]));
+                return true;
+            }
+        } catch (error) {
+            logWithTimestamp(`Error handling ${interaction.customId}: ${error.message}`, 'ERROR');
+            const reply = { content: 'An error occurred while processing this: ' + error.message, ephemeral: true };
+            await (interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply)).catch(() => {});
+            return true;
+        }
+        return false;
+    }
+
+    async handleReport(interaction, type, userId, ref) {
+        if (!CASE_TYPES.includes(type)) return;
+
+        if (interaction.user.id !== userId) {
+            await interaction.reply({ content: 'Only the member this warning was for can report it.', ephemeral: true });
+            return;
+        }
+
+        const existing = this.cases.find(reviewCase => reviewCase.status === 'open' && reviewCase.type === type &&
+            reviewCase.userId === userId && (type === 'duplicate' ? reviewCase.messageId : reviewCase.channelId) === ref);
+        if (existing) {
+            await interaction.reply({ content: `This is already under review (case #${existing.id}).`, ephemeral: true });
+            return;
+        }
+
+        // Posting the case can take longer than Discord waits for an answer
+        await interaction.deferReply({ ephemeral: true });
+
+        const warningEmbed = interaction.message.embeds[0];
+        const contentField = warningEmbed?.fields.find(field => field.name === 'Your message content:');
+        let content = contentField ? contentField.value : null;
+        if (type === 'duplicate') {
+            const message = await interaction.channel.messages.fetch(ref).catch(() => null);
+            content = message ? message.content : null;
+        }
+
+        const reviewCase = {
+            id: this.cases.reduce((max, candidate) => Math.max(max, candidate.id), 0) + 1,
+            type,
+            status: 'open',
+            userId,
+            guildId: interaction.guildId,
+            channelId: type === 'duplicate' ? interaction.channelId : ref,
+            messageId: type === 'duplicate' ? ref : null,
+            content,
+            warning: warningEmbed ? [
+                warningEmbed.description,
+                ...warningEmbed.fields
+                    .filter(field => field !== contentField)
+                    .map(field => `${field.name} ${field.value}`)
+            ].filter(Boolean).join('\n') : null,
+            openedAt: Date.now(),
+            reviewMessageId: null,
+            reviewedBy: null,
+            reviewedAt: null,
+            passUsedAt: null
+        };
+        this.cases.push(reviewCase);
+
+        // A case that can't be posted and stored is dropped again, so the member can report it anew
+        let reviewMessage = null;
+        try {
+            const reviewChannel = await this.client.channels.fetch(REVIEW_CHANNEL_ID).catch(() => null);
+            if (reviewChannel) {
+                reviewMessage = await reviewChannel.send({
+                    embeds: [this.buildCaseEmbed(reviewCase)],
+                    components: reviewComponents(reviewCase.id)
+                });
+                reviewCase.reviewMessageId = reviewMessage.id;
+            } else {
+                logWithTimestamp(`Failed to fetch review channel (${REVIEW_CHANNEL_ID}), case #${reviewCase.id} is only stored`, 'ERROR');
+            }
+            await this.writeQueue.push([reviewCase]);
+        } catch (error) {
+            this.cases = this.cases.filter(candidate => candidate !== reviewCase);
+            if (reviewMessage) {
+                await reviewMessage.delete().catch(() => {});
+            }
+            throw error;
+        }
+
+        await interaction.editReply({
+            content: `Thanks, a moderator will review this (case #${reviewCase.id}). You'll be notified of the decision.`
+        });
+        await interaction.message.edit({ components: reportComponents(type, userId, ref, true) }).catch(() => {});
+        logWithTimestamp(`Review case #${reviewCase.id} (${type}) opened by ${interaction.user.tag} (${userId})`, 'INFO');
+    }
+
+    async handleDecision(interaction, action, caseId) {
+        if (!['approve', 'reject'].includes(action)) return;
+
+        // Same rule as the admin commands
+        if (!interaction.memberPermissions?.has('Administrator')) {
+            await interaction.reply({ content: 'Only server administrators can review cases.', ephemeral: true });
+            return;
+        }
+
+        const reviewCase = this.getCase(caseId);
+        if (!reviewCase) {
+            await interaction.reply({ content: `Case #${caseId} doesn't exist.`, ephemeral: true });
+            return;
+        }
+        if (reviewCase.status !== 'open') {
+            await interaction.reply({ content: `Case #${caseId} was already ${reviewCase.status}.`, ephemeral: true });
+            return;
+        }
+
+        // Claim the case before applying it, so a second click can't apply it twice
+        reviewCase.status = action === 'approve' ? 'approved' : 'rejected';
+        reviewCase.reviewedBy = interaction.user.id;
+        reviewCase.reviewedAt = Date.now();
+
+        // If the decision can't be applied or stored, the case is open again and can be retried
+        let outcome;
+        try {
+            // Applying an approval can take longer than Discord waits for an answer
+            await interaction.deferUpdate();
+            outcome = action === 'approve' ? await this.applyApproval(reviewCase, interaction.user) : null;
+            await this.writeQueue.push([reviewCase]);
+        } catch (error) {
+            reviewCase.status = 'open';
+            reviewCase.reviewedBy = null;
+            reviewCase.reviewedAt = null;
+            logWithTimestamp(`Could not ${action} review case #${reviewCase.id}: ${error.message}`, 'ERROR');
+            await interaction.followUp({
+                content: `Case #${reviewCase.id} could not be ${action === 'approve' ? 'approved' : 'rejected'} and is still open: ${error.message}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.editReply({
+            embeds: [this.buildCaseEmbed(reviewCase, outcome)],
+            components: reviewComponents(reviewCase.id, true)
+        });
+        await this.notifyMember(reviewCase, outcome);
+        logWithTimestamp(`Review case #${reviewCase.id} ${reviewCase.status} by ${interaction.user.tag} (${interaction.user.id})`, 'INFO');
+    }
+
+    // Returns a line describing what the approval changed
+    async applyApproval(reviewCase, moderator) {
+        if (reviewCase.type === 'wrong_thread') {
+            return `You can post your submission in <#${reviewCase.channelId}> once.`;
+        }
+
+        const channel = await this.client.channels.fetch(reviewCase.channelId).catch(() => null);
+        const message = channel ? await channel.messages.fetch(reviewCase.messageId).catch(() => null) : null;
+        if (!message) {
+            return 'The message no longer exists, so nothing was changed.';
+        }
+
+        const { accepted } = await this.urlTracker.overrideSubmission(message, moderator, 'share');
+        return accepted.length > 0
+            ? `Your submission was accepted: ${message.url}`
+            : 'Your submission no longer had refused URLs, so nothing was changed.';
+    }
+
+    async notifyMember(reviewCase, outcome) {
+        const decision = reviewCase.status === 'approved'
+            ? `was approved. ${outcome}`
+            : 'was rejected. The warning stands.';
+        try {
+            const user = await this.client.users.fetch(reviewCase.userId);
+            await user.send(`Your report (case #${reviewCase.id}: ${CASE_TYPE_LABELS[reviewCase.type].toLowerCase()}) ${decision}`);
+        } catch (error) {
+            logWithTimestamp(`Could not notify ${reviewCase.userId} about case #${reviewCase.id}: ${error.message}`, 'WARN');
+        }
+    }
+
+    buildCaseEmbed(reviewCase, outcome = null) {
+        const embed = new EmbedBuilder()
+            .setColor(reviewCase.status === 'open' ? '#0099ff' : reviewCase.status === 'approved' ? '#00cc66' : '#ff0000')
+            .setTitle(`Case #${reviewCase.id}: ${CASE_TYPE_LABELS[reviewCase.type]}`)
+            .addFields(
+                { name: 'Member', value: `<@${reviewCase.userId}> (${reviewCase.userId})` },
+                {
+                    name: reviewCase.messageId ? 'Message' : 'Removed from',
+                    value: reviewCase.messageId
+                        ? `https://discord.com/channels/${reviewCase.guildId}/${reviewCase.channelId}/${reviewCase.messageId}`
+                        : `<#${reviewCase.channelId}>`
+                },
+                { name: 'Warning', value: (reviewCase.warning || 'Unknown').substring(0, 1024) },
+                { name: 'Message content', value: (reviewCase.content || 'Unknown').substring(0, 1024) }
+            )
+            .setTimestamp(reviewCase.openedAt)
+            .setFooter({
+                text: 'Botanix Labs',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+
+        if (reviewCase.status !== 'open') {
+            embed.addFields({
+                name: 'Decision',
+                value: `${reviewCase.status === 'approved' ? 'Approved' : 'Rejected'} by <@${reviewCase.reviewedBy}>${outcome ? `\n${outcome}` : ''}`
+            });
+        }
+        return embed;
+    }
+
+    // Uses up the post an approved wrong_thread case allows; true if the member had one left
+    async consumePass(userId, threadId) {
+        const reviewCase = this.cases.find(candidate => candidate.type === 'wrong_thread' &&
+            candidate.status === 'approved' && !candidate.passUsedAt &&
+            candidate.userId === userId && candidate.channelId === threadId);
+        if (!reviewCase) return false;
+
+        reviewCase.passUsedAt = Date.now();
+        await this.writeQueue.push([reviewCase]);
+        logWithTimestamp(`User ${userId} posted in thread ${threadId} as approved by case #${reviewCase.id}`, 'INFO');
+        return true;
+    }
+
+    async shutdown() {
+        await this.writeQueue.drain();
+    }
+}
+
+module.exports = {
+    ReviewQueue,
+    reportComponents
+};
\ No newline at end of file
@@ -1,278 +1,328 @@
-const cron = require('node-cron');
-const { ChannelType } = require('discord.js');
-const { logWithTimestamp } = require('./utils');
-
-class ThreadCleaner {
-    constructor(client) {
-        this.client = client;
-        this.schedule = null;
-        this.isRunning = false;
-    }
-
-    init(cronExpression) {
-        if (!cronExpression || typeof cronExpression !== 'string') {
-            logWithTimestamp('Invalid cron expression for thread cleaning schedule', 'ERROR');
-            return false;
-        }
-
-        try {
-            // Validate the cron expression
-            if (!cron.validate(cronExpression)) {
-                throw new Error('Invalid cron expression format');
-            }
-
-            this.schedule = cron.schedule(cronExpression, () => {
-                this.performCleanup()
-                    .catch(err => logWithTimestamp(`Error during scheduled thread cleanup: ${err.message}`, 'ERROR'));
-            });
-
-            logWithTimestamp(`Thread cleaner initialized with schedule: ${cronExpression}`, 'STARTUP');
-            return true;
-        } catch (error) {
-            logWithTimestamp(`Failed to initialize thread cleaner: ${error.message}`, 'ERROR');
-            return false;
-        }
-    }
-
-    getThreadAndRoleMappings() {
-        const threadIds = [];
-        const roleToThread = new Map();
-        const threadToRole = new Map();
-        const ignoredRoles = new Set(
-            process.env.IGNORED_ROLES
-                ? process.env.IGNORED_ROLES.split(',').map(role => role.trim())
-                : []
-        );
-
-        // Map threads to roles and vice versa
-        for (let i = 0; i <= 5; i++) {
-            const roleId = process.env[`ROLE_${i}_ID`];
-            const threadId = process.env[`THREAD_${i}_ID`];
-            
-            if (roleId && threadId) {
-                threadIds.push(threadId);
-                roleToThread.set(roleId, threadId);
-                threadToRole.set(threadId, roleId);
-            }
-        }
-
-        return { threadIds, roleToThread, threadToRole, ignoredRoles };
-    }
-
-    findHighestRole(memberRoles) {
-        for (let i = 5; i >= 0; i--) {
-            const roleId = process.env[`ROLE_${i}_ID`];
-            if (memberRoles.has(roleId)) {
-                return i;
-            }
-        }
-        return -1;
-    }
-
-    memberHasCorrectRoleForThread(member, threadId, threadToRole, ignoredRoles) {
-        // Members with ignored roles are always allowed
-        if (member.roles.cache.some(role => ignoredRoles.has(role.id))) {
-            return true;
-        }
-
-        // Get the highest role index for this member
-        const highestRoleIndex = this.findHighestRole(member.roles.cache);
-        if (highestRoleIndex === -1) {
-            return false;
-        }
-
-        // Get the correct thread for this role index
-        const correctThreadId = process.env[`THREAD_${highestRoleIndex}_ID`];
-        
-        // Check if the member is in the correct thread for their highest role
-        return threadId === correctThreadId;
-    }
-
-    async performCleanup() {
-        if (this.isRunning) {
-            logWithTimestamp('Thread cleanup is already in progress, skipping', 'WARN');
-            return;
-        }
-
-        this.isRunning = true;
-        const startTime = Date.now();
-        logWithTimestamp('Starting scheduled thread cleanup', 'INFO');
-
-        try {
-            const { threadIds, threadToRole, ignoredRoles } = this.getThreadAndRoleMappings();
-            
-            if (threadIds.length === 0) {
-                logWithTimestamp('No threads configured for cleanup', 'WARN');
-                this.isRunning = false;
-                return;
-            }
-
-            let totalChecked = 0;
-            let totalRemoved = 0;
-            let failedThreads = 0;
-
-            // Process each thread
-            for (const threadId of threadIds) {
-                try {
-                    const thread = await this.client.channels.fetch(threadId);
-                    
-                    if (!thread) {
-                        logWithTimestamp(`Thread ${threadId} not found`, 'ERROR');
-                        failedThreads++;
-                        continue;
-                    }
-
-                    // Skip non-thread channels
-                    if (!thread.isThread()) {
-                        logWithTimestamp(`Channel ${threadId} (${thread.name}) is not a thread, skipping`, 'WARN');
-                        continue;
-                    }
-
-                    // Fetch all thread members
-                    const threadMembers = await thread.members.fetch();
-                    logWithTimestamp(`Checking ${threadMembers.size} members in thread ${thread.name} (${threadId})`, 'INFO');
-
-                    let removedFromThread = 0;
-
-                    // Process each member in the thread
-                    for (const [memberId, threadMember] of threadMembers) {
-                        // Skip the bot itself
-                        if (memberId === this.client.user.id) continue;
-                        
-                        totalChecked++;
-
-                        try {
-                            // Try to fetch the guild member
-                            const guildMember = await thread.guild.members.fetch(memberId).catch(() => null);
-                            
-                            // If member left the server or doesn't have correct role, remove them
-                            if (!guildMember || 
-                                !this.memberHasCorrectRoleForThread(guildMember, threadId, threadToRole, ignoredRoles)) {
-                                
-                                await thread.members.remove(memberId);
-                                removedFromThread++;
-                                totalRemoved++;
-                                
-                                const reason = !guildMember ? 'left server' : 'incorrect role';
-                                logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: ${reason}`, 'INFO');
-                            }
-                        } catch (memberError) {
-                            logWithTimestamp(`Error processing member ${memberId} in thread ${thread.name}: ${memberError.message}`, 'ERROR');
-                        }
-                    }
-
-                    logWithTimestamp(`Thread ${thread.name}: Removed ${removedFromThread} of ${threadMembers.size} members`, 'INFO');
-                } catch (threadError) {
-                    logWithTimestamp(`Error processing thread ${threadId}: ${threadError.message}`, 'ERROR');
-                    failedThreads++;
-                }
-            }
-
-            const duration = (Date.now() - startTime) / 1000;
-            logWithTimestamp(`Thread cleanup completed in ${duration.toFixed(2)}s: Checked ${totalChecked} members, removed ${totalRemoved}, failed threads: ${failedThreads}`, 'INFO');
-        } catch (error) {
-            logWithTimestamp(`Thread cleanup failed: ${error.message}`, 'ERROR');
-        } finally {
-            this.isRunning = false;
-        }
-    }
-
-    async runNow() {
-        return this.performCleanup();
-    }
-	
-	async cleanSpecificThread(threadId) {
-    if (this.isRunning) {
-        logWithTimestamp('Thread cleanup is already in progress, skipping', 'WARN');
-        return;
-    }
-
-    this.isRunning = true;
-    const startTime = Date.now();
-    logWithTimestamp(`Starting thread cleanup for specific thread: ${threadId}`, 'INFO');
-
-    try {
-        const { threadToRole, ignoredRoles } = this.getThreadAndRoleMappings();
-        
-        // Check if this thread is configured
-        if (!threadToRole.has(threadId)) {
-            logWithTimestamp(`Thread ${threadId} not configured for cleanup`, 'WARN');
-            this.isRunning = false;
-            return;
-        }
-
-        let totalChecked = 0;
-        let totalRemoved = 0;
-
-        try {
-            const thread = await this.client.channels.fetch(threadId);
-            
-            if (!thread) {
-                logWithTimestamp(`Thread ${threadId} not found`, 'ERROR');
-                this.isRunning = false;
-                return;
-            }
-
-            // Skip non-thread channels
-            if (!thread.isThread()) {
-                logWithTimestamp(`Channel ${threadId} (${thread.name}) is not a thread, skipping`, 'WARN');
-                this.isRunning = false;
-                return;
-            }
-
-            // Fetch all thread members
-            const threadMembers = await thread.members.fetch();
-            logWithTimestamp(`Checking ${threadMembers.size} members in thread ${thread.name} (${threadId})`, 'INFO');
-
-            let removedFromThread = 0;
-
-            // Process each member in the thread
-            for (const [memberId, threadMember] of threadMembers) {
-                // Skip the bot itself
-                if (memberId === this.client.user.id) continue;
-                
-                totalChecked++;
-
-                try {
-                    // Try to fetch the guild member
-                    const guildMember = await thread.guild.members.fetch(memberId).catch(() => null);
-                    
-                    // If member left the server or doesn't have correct role, remove them
-                    if (!guildMember || 
-                        !this.memberHasCorrectRoleForThread(guildMember, threadId, threadToRole, ignoredRoles)) {
-                        
-                        await thread.members.remove(memberId);
-                        removedFromThread++;
-                        totalRemoved++;
-                        
-                        const reason = !guildMember ? 'left server' : 'incorrect role';
-                        logWithTimestamp(`Removed member ${memberId} from thread ${thread.name}: ${reason}`, 'INFO');
-                    }
-                } catch (memberError) {
-                    logWithTimestamp(`Error processing member ${memberId} in thread ${thread.name}: ${memberError.message}`, 'ERROR');
-                }
-            }
-
-            logWithTimestamp(`Thread ${thread.name}: Removed ${removedFromThread} of ${threadMembers.size} members`, 'INFO');
-        } catch (threadError) {
-            logWithTimestamp(`Error processing thread ${threadId}: ${threadError.message}`, 'ERROR');
-        }
-
-        const duration = (Date.now() - startTime) / 1000;
-        logWithTimestamp(`Thread cleanup completed in ${duration.toFixed(2)}s: Checked ${totalChecked} members, removed ${totalRemoved}`, 'INFO');
-    } catch (error) {
-        logWithTimestamp(`Thread cleanup failed: ${error.message}`, 'ERROR');
-    } finally {
-        this.isRunning = false;
-    }
-}
-
-    stop() {
-        if (this.schedule) {
-            this.schedule.stop();
-            logWithTimestamp('Thread cleaner schedule stopped', 'INFO');
-        }
-    }
-}
-
+const cron = require('node-cron');
+const { ChannelType, RESTJSONErrorCodes } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+const ModerationActions = require('./moderationActions');
+const CleanupEngine = require('./cleanupEngine');
+const TierRegistry = require('./tierRegistry');
+const { RELOCATE_MEMBERS, RELOCATION_NOTICE, RELOCATION_MESSAGE } = require('./config');
+
+class ThreadCleaner {
+    constructor(client, moderationActions = new ModerationActions(client), tierRegistry = new TierRegistry()) {
+        this.client = client;
+        this.moderationActions = moderationActions; // Member removals are only logged in a dry run
+        this.tierRegistry = tierRegistry; // Which roles belong in which thread
+        this.schedule = null;
+        this.isRunning = false;
+        this.engine = new CleanupEngine(this); // Checkpoints runs so they resume after a restart
+    }
+
+    init(cronExpression) {
+        if (!cronExpression || typeof cronExpression !== 'string') {
+            logWithTimestamp('Invalid cron expression for thread cleaning schedule', 'ERROR');
+            return false;
+        }
+
+        try {
+            // Validate the cron expression
+            if (!cron.validate(cronExpression)) {
+                throw new Error('Invalid cron expression format');
+            }
+
+            this.schedule = cron.schedule(cronExpression, () => {
+                this.performCleanup()
+                    .catch(err => logWithTimestamp(`Error during scheduled thread cleanup: ${err.message}`, 'ERROR'));
+            });
+
+            logWithTimestamp(`Thread cleaner initialized with schedule: ${cronExpression}`, 'STARTUP');
+            return true;
+        } catch (error) {
+            logWithTimestamp(`Failed to initialize thread cleaner: ${error.message}`, 'ERROR');
+            return false;
+        }
+    }
+
+    // In a dry run members are only reported, so the logs shouldn't claim they were removed
+    removedLabel() {
+        return this.moderationActions.dryRun ? 'Would have removed' : 'Removed';
+    }
+
+    memberHasCorrectRoleForThread(member, threadId) {
+        // Members with ignored roles are always allowed
+        if (this.tierRegistry.isIgnored(member)) {
+            return true;
+        }
+
+        // Get the highest tier this member has a role of
+        const highestTierIndex = this.tierRegistry.findHighestTier(member.roles.cache);
+        if (highestTierIndex === -1) {
+            return false;
+        }
+
+        // Check if the member is in the thread of their highest tier
+        return threadId === this.tierRegistry.getThreadForTier(highestTierIndex);
+    }
+
+    // Why a member doesn't belong in a tier thread, or null if they do:
+    // { memberId, tag, reason: 'left server' | 'incorrect role', tierIndex, tierName, correctThreadId }.
+    // tierIndex is the member's highest tier, -1 if they have none.
+    checkMember(guildMember, memberId, threadId) {
+        if (!guildMember) {
+            return { memberId, tag: null, reason: 'left server', tierIndex: -1, tierName: null, correctThreadId: null };
+        }
+        if (this.memberHasCorrectRoleForThread(guildMember, threadId)) {
+            return null;
+        }
+
+        const tierIndex = this.tierRegistry.findHighestTier(guildMember.roles.cache);
+        return {
+            memberId,
+            tag: guildMember.user?.tag || null,
+            reason: 'incorrect role',
+            tierIndex,
+            tierName: tierIndex === -1 ? null : this.tierRegistry.tierName(tierIndex),
+            correctThreadId: this.tierRegistry.getThreadForTier(tierIndex)
+        };
+    }
+
+    // All members of the guild in one request, instead of fetching thread members one at a time
+    async fetchGuildMembers(guild) {
+        const guildMembers = await guild.members.fetch();
+        logWithTimestamp(`Fetched ${guildMembers.size} guild members of ${guild.name}`, 'INFO');
+        return guildMembers;
+    }
+
+    // Works out who would be removed from a tier thread without removing anyone. guildMembers,
+    // from fetchGuildMembers, is fetched if not given.
+    // Returns { thread, threadId, threadName, memberCount, checked, removals, plannedAt, guildMembers };
+    // throws if the thread isn't a configured tier thread or can't be fetched.
+    async planThreadCleanup(threadId, guildMembers = null) {
+        if (!this.tierRegistry.isTierThread(threadId)) {
+            throw new Error(`Thread ${threadId} not configured for cleanup`);
+        }
+
+        const thread = await this.client.channels.fetch(threadId).catch(() => null);
+        if (!thread) {
+            throw new Error(`Thread ${threadId} not found`);
+        }
+        if (!thread.isThread()) {
+            throw new Error(`Channel ${threadId} (${thread.name}) is not a thread`);
+        }
+
+        // Fetch all thread members
+        const threadMembers = await thread.members.fetch();
+        logWithTimestamp(`Checking ${threadMembers.size} members in thread ${thread.name} (${threadId})`, 'INFO');
+        const members = guildMembers || await this.fetchGuildMembers(thread.guild);
+
+        const removals = [];
+        let checked = 0;
+        for (const memberId of threadMembers.keys()) {
+            // Skip the bot itself
+            if (memberId === this.client.user.id) continue;
+
+            checked++;
+            // If member left the server or doesn't have correct role, they go
+            const removal = this.checkMember(members.get(memberId) || null, memberId, threadId);
+            if (removal) {
+                removals.push(removal);
+            }
+        }
+
+        return { thread, threadId, threadName: thread.name, memberCount: threadMembers.size, checked, removals, plannedAt: Date.now(), guildMembers: members };
+    }
+
+    // Adds a member removed for having the wrong tier role to the thread of their highest role and
+    // tells them about the move (see RELOCATION_NOTICE). Returns how they were told: 'dm',
+    // 'mention', 'none' or 'failed'. Throws if they couldn't be added to the thread.
+    async relocateMember(removal, fromThread, withRetry = task => task()) {
+        const target = await this.client.channels.fetch(removal.correctThreadId).catch(() => null);
+        if (!target || !target.isThread()) {
+            throw new Error(`thread ${removal.correctThreadId} not found`);
+        }
+
+        const context = { reason: `moved from ${fromThread.id} to ${target.id}` };
+        await withRetry(() => this.moderationActions.addThreadMember(target, removal.memberId, context));
+        logWithTimestamp(`${this.moderationActions.dryRun ? 'Would have moved' : 'Moved'} member ${removal.memberId} from thread ${fromThread.name} to ${target.name}`, 'INFO');
+
+        if (RELOCATION_NOTICE === 'none') return 'none';
+
+        const notice = RELOCATION_MESSAGE
+            .replace(/\{member\}/g, `<@${removal.memberId}>`)
+            .replace(/\{from\}/g, `<#${fromThread.id}>`)
+            .replace(/\{to\}/g, `<#${target.id}>`);
+
+        if (RELOCATION_NOTICE === 'dm') {
+            try {
+                await this.moderationActions.sendDirectMessage(removal.memberId, notice, context);
+                return 'dm';
+            } catch (error) {
+                logWithTimestamp(`Could not DM member ${removal.memberId} about the move, mentioning them instead: ${error.message}`, 'WARN');
+            }
+        }
+
+        try {
+            await withRetry(() => this.moderationActions.send(target, notice, removal.memberId, context));
+            return 'mention';
+        } catch (error) {
+            logWithTimestamp(`Could not tell member ${removal.memberId} about the move to ${target.name}: ${error.message}`, 'ERROR');
+            return 'failed';
+        }
+    }
+
+    // Removes one member of a plan. They are checked again against guildMembers first, so someone
+    // who got the right role (or came back) since the plan was made is kept. With
+    // RELOCATE_MEMBERS, members with a tier role are moved to their tier thread.
+    // Returns { status: 'removed' | 'skipped', removal, notice, relocationError }; throws if the
+    // member couldn't be removed. withRetry wraps each Discord request (see CleanupEngine).
+    async processRemoval(plan, removal, guildMembers, withRetry = task => task()) {
+        const current = this.checkMember(guildMembers.get(removal.memberId) || null, removal.memberId, plan.threadId);
+        if (!current) {
+            logWithTimestamp(`Kept member ${removal.memberId} in thread ${plan.threadName}: no longer needs removal`, 'INFO');
+            return { status: 'skipped', removal };
+        }
+
+        try {
+            await withRetry(() => this.moderationActions.removeThreadMember(plan.thread, removal.memberId, { reason: current.reason }));
+        } catch (error) {
+            // Already gone from the thread, e.g. removed before a restart interrupted the run
+            if (error.code !== RESTJSONErrorCodes.UnknownMember) throw error;
+        }
+        logWithTimestamp(`${this.removedLabel()} member ${removal.memberId} from thread ${plan.threadName}: ${current.reason}`, 'INFO');
+
+        const outcome = { status: 'removed', removal: current, notice: null, relocationError: null };
+        if (RELOCATE_MEMBERS && current.correctThreadId) {
+            try {
+                outcome.notice = await this.relocateMember(current, plan.thread, withRetry);
+            } catch (relocationError) {
+                outcome.relocationError = relocationError.message;
+                logWithTimestamp(`Error moving member ${removal.memberId} to thread ${current.correctThreadId}: ${relocationError.message}`, 'ERROR');
+            }
+        }
+        return outcome;
+    }
+
+    // Removes the members of the plans through the CleanupEngine. Returns, per plan,
+    // { removed, relocated, skipped, failed }, each a list of the plan's removals; relocated ones
+    // also say how the member was told (notice), failed ones have an error.
+    async applyCleanupPlans(plans, onProgress, guildMembers = null) {
+        const results = await this.engine.run(plans, onProgress, { guildMembers });
+        this.logResults(results);
+        return results;
+    }
+
+    logResults(results) {
+        for (const result of results) {
+            logWithTimestamp(`Thread ${result.threadName}: ${this.removedLabel()} ${result.removed.length} of ${result.memberCount} members, ${result.relocated.length} moved to their tier thread`, 'INFO');
+        }
+    }
+
+    logProgress(progress) {
+        logWithTimestamp(`Thread cleanup progress: ${progress.done} of ${progress.total} members processed, ${this.removedLabel().toLowerCase()} ${progress.removed}, failed ${progress.failed}`, 'INFO');
+    }
+
+    async performCleanup() {
+        if (this.isRunning) {
+            logWithTimestamp('Thread cleanup is already in progress, skipping', 'WARN');
+            return;
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+        logWithTimestamp('Starting scheduled thread cleanup', 'INFO');
+
+        try {
+            const threadIds = this.tierRegistry.getThreadIds();
+            
+            if (threadIds.length === 0) {
+                logWithTimestamp('No threads configured for cleanup', 'WARN');
+                return;
+            }
+
+            const plans = [];
+            let guildMembers = null;
+            let failedThreads = 0;
+
+            // Plan every thread against one fetch of the guild members
+            for (const threadId of threadIds) {
+                try {
+                    const plan = await this.planThreadCleanup(threadId, guildMembers);
+                    guildMembers = plan.guildMembers;
+                    plans.push(plan);
+                } catch (threadError) {
+                    logWithTimestamp(`Error processing thread ${threadId}: ${threadError.message}`, 'ERROR');
+                    failedThreads++;
+                }
+            }
+
+            const results = await this.applyCleanupPlans(plans, progress => this.logProgress(progress), guildMembers);
+            const totalChecked = results.reduce((sum, result) => sum + result.checked, 0);
+            const totalRemoved = results.reduce((sum, result) => sum + result.removed.length, 0);
+            const totalRelocated = results.reduce((sum, result) => sum + result.relocated.length, 0);
+
+            const duration = (Date.now() - startTime) / 1000;
+            logWithTimestamp(`Thread cleanup completed in ${duration.toFixed(2)}s: Checked ${totalChecked} members, ${this.removedLabel().toLowerCase()} ${totalRemoved}, moved ${totalRelocated}, failed threads: ${failedThreads}`, 'INFO');
+        } catch (error) {
+            logWithTimestamp(`Thread cleanup failed: ${error.message}`, 'ERROR');
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async runNow() {
+        return this.performCleanup();
+    }
+
+    // Finishes a cleanup a crash or restart interrupted, if there was one
+    async resumeInterruptedCleanup() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        try {
+            const results = await this.engine.resume(progress => this.logProgress(progress));
+            if (results) {
+                this.logResults(results);
+                logWithTimestamp('Interrupted thread cleanup completed', 'INFO');
+            }
+        } catch (error) {
+            logWithTimestamp(`Resuming interrupted thread cleanup failed: ${error.message}`, 'ERROR');
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Cleans one tier thread, following a plan from planThreadCleanup if one is given.
+    // onProgress is called as members are processed (see CleanupEngine.run).
+    // Returns { checked, removed, relocated, skipped, failed } (see applyCleanupPlans), or nothing
+    // if another cleanup is running or the thread couldn't be cleaned.
+    async cleanSpecificThread(threadId, plan = null, onProgress = undefined) {
+        if (this.isRunning) {
+            logWithTimestamp('Thread cleanup is already in progress, skipping', 'WARN');
+            return;
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+        logWithTimestamp(`Starting thread cleanup for specific thread: ${threadId}`, 'INFO');
+
+        try {
+            const threadPlan = plan || await this.planThreadCleanup(threadId);
+            const [result] = await this.applyCleanupPlans([threadPlan], onProgress);
+
+            const duration = (Date.now() - startTime) / 1000;
+            logWithTimestamp(`Thread cleanup completed in ${duration.toFixed(2)}s: Checked ${threadPlan.checked} members, ${this.removedLabel().toLowerCase()} ${result.removed.length}`, 'INFO');
+            return result;
+        } catch (error) {
+            logWithTimestamp(`Thread cleanup failed: ${error.message}`, 'ERROR');
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    stop() {
+        if (this.schedule) {
+            this.schedule.stop();
+            logWithTimestamp('Thread cleaner schedule stopped', 'INFO');
+        }
+    }
+}
+
 module.exports = ThreadCleaner;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType, InteractionContextType } = require('discord.js');
+const { logWithTimestamp } = require('./utils');
+
+// Application commands, registered for the guild of MAIN_CHANNEL_ID when the bot starts.
+// Like the text commands they're for administrators only; Discord hides them from everyone else
+// and contentoor.js checks again when they're used.
+const COMMAND_DEFINITIONS = [
+    new SlashCommandBuilder()
+        .setName('fetch-links')
+        .setDescription('Scan a channel or forum for URLs missing from the database')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel, forum or thread to scan')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildForum, ChannelType.PublicThread, ChannelType.PrivateThread))
+        .addIntegerOption(option => option
+            .setName('limit')
+            .setDescription('Messages to fetch per channel or thread, at most 1000 (5000 when left out)')
+            .setMinValue(1)
+            .setMaxValue(1000)),
+    new SlashCommandBuilder()
+        .setName('cleanup-thread')
+        .setDescription('Preview, then remove, members without the matching role from a tier thread')
+        .addChannelOption(option => option
+            .setName('thread')
+            .setDescription('Tier thread to clean (default: this thread)')
+            .addChannelTypes(ChannelType.PublicThread, ChannelType.PrivateThread)),
+    new SlashCommandBuilder()
+        .setName('lookup')
+        .setDescription('Show stored submissions and what happened to them')
+        .addSubcommand(subcommand => subcommand
+            .setName('url')
+            .setDescription('Every submission of a URL, oldest first')
+            .addStringOption(option => option
+                .setName('url')
+                .setDescription('URL to look up, in any of its forms')
+                .setRequired(true)
+                .setMaxLength(2000))
+            .addIntegerOption(option => option
+                .setName('page')
+                .setDescription('Page of results (default 1)')
+                .setMinValue(1)))
+        .addSubcommand(subcommand => subcommand
+            .setName('member')
+            .setDescription('Every URL a member submitted, newest first')
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Member to look up')
+                .setRequired(true))
+            .addIntegerOption(option => option
+                .setName('page')
+                .setDescription('Page of results (default 1)')
+                .setMinValue(1))),
+    new SlashCommandBuilder()
+        .setName('records')
+        .setDescription('Delete, reassign or purge stored URL records, after confirming')
+        .addSubcommand(subcommand => subcommand
+            .setName('delete')
+            .setDescription('Remove one URL record')
+            .addStringOption(option => option
+                .setName('url')
+                .setDescription('URL of the record, in any of its forms')
+                .setRequired(true)
+                .setMaxLength(2000))
+            .addStringOption(option => option
+                .setName('message-id')
+                .setDescription('Message the record belongs to (default: the one holding the claim)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('reassign')
+            .setDescription('Give one URL record to another member')
+            .addStringOption(option => option
+                .setName('url')
+                .setDescription('URL of the record, in any of its forms')
+                .setRequired(true)
+                .setMaxLength(2000))
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Member the record should belong to')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('message-id')
+                .setDescription('Message the record belongs to (default: the one holding the claim)')))
+        .addSubcommand(subcommand => subcommand
+            .setName('purge')
+            .setDescription('Remove every URL record matching all the filters given')
+            .addUserOption(option => option
+                .setName('member')
+                .setDescription('Records submitted by this member'))
+            .addChannelOption(option => option
+                .setName('thread')
+                .setDescription('Records submitted in this thread')
+                .addChannelTypes(ChannelType.PublicThread, ChannelType.PrivateThread))
+            .addStringOption(option => option
+                .setName('from')
+                .setDescription('Records submitted on or after this date, YYYY-MM-DD (UTC)'))
+            .addStringOption(option => option
+                .setName('to')
+                .setDescription('Records submitted on or before this date, YYYY-MM-DD (UTC)'))),
+    new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Show URL database statistics')
+].map(command => command
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setContexts(InteractionContextType.Guild)
+    .toJSON());
+
+// Replaces whatever commands the bot had registered in the guild
+async function registerSlashCommands(guild) {
+    try {
+        await guild.commands.set(COMMAND_DEFINITIONS);
+        logWithTimestamp(`Registered ${COMMAND_DEFINITIONS.length} slash commands in ${guild.name}`, 'STARTUP');
+        return true;
+    } catch (error) {
+        logWithTimestamp(`Failed to register slash commands: ${error.message}`, 'ERROR');
+        return false;
+    }
+}
+
+module.exports = {
+    COMMAND_DEFINITIONS,
+    registerSlashCommands
+};
\ No newline at end of file
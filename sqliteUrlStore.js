@@ -0,0 +1,314 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logWithTimestamp } = require('./utils');
+const { StorageAdapter } = require('./storageAdapter');
+const { RELEASED_STATUSES } = require('./urlRecord');
+
+// Rows whose record still holds a claim on its URL (see holdsClaim in urlRecord.js)
+const HOLDS_CLAIM = `COALESCE(json_extract(data, '$.status'), 'active') NOT IN (${RELEASED_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// Post order of the rows, matching compareSubmissions in urlRecord.js: the time the message was
+// posted (taken from its snowflake), then the snowflake itself. Rows without a message ID sort
+// by their timestamp.
+const POST_ORDER = `CASE WHEN message_id IS NULL THEN timestamp ELSE (CAST(message_id AS INTEGER) >> 22) + 1420070400000 END, CAST(message_id AS INTEGER), id`;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS urls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        canonical_url TEXT NOT NULL,
+        user_id TEXT,
+        message_id TEXT,
+        thread_id TEXT,
+        timestamp INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        UNIQUE (message_id, canonical_url)
+    );
+    CREATE INDEX IF NOT EXISTS idx_urls_canonical_url ON urls (canonical_url, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_urls_user_id ON urls (user_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_urls_thread_id ON urls (thread_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_urls_channel_id ON urls (channel_id, timestamp);
+`;
+
+// SQLite backend: one row per entry. The full entry is kept as JSON in `data`,
+// the columns only exist so the common lookups and ad-hoc reports can use indexes.
+class SqliteUrlStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.db = null;
+        this.storageFile = '';
+        this.statements = null;
+    }
+
+    async init() {
+        try {
+            const mainChannelId = this.getMainChannelId();
+            this.storageFile = path.join(__dirname, `URL_DB_${mainChannelId}.sqlite`);
+
+            this.open();
+
+            this.isInitialized = true;
+            await this.migrateRecords();
+            const { count } = this.db.prepare('SELECT COUNT(DISTINCT canonical_url) AS count FROM urls').get();
+            logWithTimestamp(`URL storage initialized (SQLite) with ${count} unique URLs`, 'STARTUP');
+        } catch (error) {
+            logWithTimestamp(`Error initializing URL storage: ${error.message}`, 'ERROR');
+            this.close();
+            this.isInitialized = false;
+            throw error;
+        }
+    }
+
+    open() {
+        this.db = new Database(this.storageFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT OR IGNORE INTO urls (channel_id, url, canonical_url, user_id, message_id, thread_id, timestamp, data)
+                VALUES (@channelId, @url, @canonicalUrl, @userId, @messageId, @threadId, @timestamp, @data)
+            `),
+            findOldest: this.db.prepare(`
+                SELECT id, channel_id, data FROM urls WHERE canonical_url = ? AND ${HOLDS_CLAIM} ORDER BY ${POST_ORDER} LIMIT 1
+            `),
+            deleteById: this.db.prepare('DELETE FROM urls WHERE id = ?'),
+            byChannel: this.db.prepare(`SELECT data FROM urls WHERE channel_id = ? ORDER BY ${POST_ORDER}`),
+            byUser: this.db.prepare(`SELECT data FROM urls WHERE user_id = ? ORDER BY ${POST_ORDER}`),
+            byMessage: this.db.prepare(`SELECT data FROM urls WHERE message_id = ? ORDER BY ${POST_ORDER}`),
+            byThread: this.db.prepare(`SELECT data FROM urls WHERE thread_id = ? ORDER BY ${POST_ORDER}`),
+            byCanonicalUrl: this.db.prepare(`SELECT data FROM urls WHERE canonical_url = ? ORDER BY ${POST_ORDER}`),
+            deleteByMessage: this.db.prepare('DELETE FROM urls WHERE message_id = ? AND canonical_url = ?'),
+            byKey: this.db.prepare('SELECT channel_id, data FROM urls WHERE message_id = ? AND canonical_url = ?'),
+            replace: this.db.prepare(`
+                UPDATE urls
+                SET url = @url, canonical_url = @canonicalUrl, user_id = @userId, message_id = @messageId,
+                    thread_id = @threadId, timestamp = @timestamp, data = @data
+                WHERE channel_id = @channelId AND message_id IS @oldMessageId AND canonical_url = @oldCanonicalUrl
+            `),
+            channelIds: this.db.prepare('SELECT DISTINCT channel_id FROM urls'),
+            countsPerChannel: this.db.prepare('SELECT channel_id, COUNT(*) AS count FROM urls GROUP BY channel_id'),
+            uniqueCount: this.db.prepare('SELECT COUNT(DISTINCT canonical_url) AS count FROM urls'),
+            deletedCount: this.db.prepare(`SELECT COUNT(*) AS count FROM urls WHERE json_extract(data, '$.status') = 'deleted'`)
+        };
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+    }
+
+    toRow(channelId, entry) {
+        return {
+            channelId,
+            url: entry.url,
+            canonicalUrl: entry.canonicalUrl,
+            userId: entry.userId || entry.authorId || null,
+            messageId: entry.messageId || null,
+            threadId: entry.threadId || entry.channelId || channelId,
+            timestamp: entry.timestamp || 0,
+            data: JSON.stringify(entry)
+        };
+    }
+
+    rowsToEntries(rows) {
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    isDuplicateUrl(url) {
+        return !!this.statements.findOldest.get(this.canonicalize(url));
+    }
+
+    async findUrlHistory(url) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const row = this.statements.findOldest.get(this.canonicalize(url));
+        if (row) {
+            const foundUrl = JSON.parse(row.data);
+            logWithTimestamp(`URL history found for: ${url} in channel ${foundUrl.channelId}`, 'INFO');
+            return foundUrl;
+        }
+
+        logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
+        return null;
+    }
+
+    async saveUrls(channelId, newUrls) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const insertAll = this.db.transaction(entries => {
+            let addedCount = 0;
+            for (const entry of entries) {
+                const result = this.statements.insert.run(this.toRow(channelId, entry));
+
+                // Only counts if the same URL from the same message wasn't stored yet
+                if (result.changes > 0) {
+                    logWithTimestamp(`Added URL: ${entry.url}`, 'INFO');
+                    addedCount++;
+                } else {
+                    logWithTimestamp(`Skipped duplicate message URL: ${entry.url} (messageId: ${entry.messageId})`, 'INFO');
+                }
+            }
+            return addedCount;
+        });
+
+        const validEntries = [];
+        for (const newUrl of newUrls) {
+            const { record, problems } = this.prepareEntry(channelId, newUrl);
+            if (problems.length > 0) {
+                logWithTimestamp(`Rejected invalid URL record ${newUrl.url}: ${problems.join(', ')}`, 'ERROR');
+                continue;
+            }
+            validEntries.push(record);
+        }
+
+        let addedCount;
+        try {
+            addedCount = insertAll(validEntries);
+        } catch (error) {
+            logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
+            throw error;
+        }
+
+        if (addedCount > 0) {
+            logWithTimestamp(`Saved ${addedCount} URLs for channel ${channelId}`, 'INFO');
+        }
+        return addedCount;
+    }
+
+    async deleteUrl(url) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return false;
+        }
+
+        // Deletes the same entry findUrlHistory would return
+        const row = this.statements.findOldest.get(this.canonicalize(url));
+        if (!row) {
+            return false;
+        }
+
+        this.statements.deleteById.run(row.id);
+        logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
+        return true;
+    }
+
+    // Get URLs for a specific channel
+    getUrls(channelId) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return [];
+        }
+        return this.rowsToEntries(this.statements.byChannel.all(channelId));
+    }
+
+    getUrlsByUser(userId) {
+        return this.rowsToEntries(this.statements.byUser.all(userId));
+    }
+
+    getUrlsByMessage(messageId) {
+        return this.rowsToEntries(this.statements.byMessage.all(messageId));
+    }
+
+    getUrlsByThread(threadId) {
+        return this.rowsToEntries(this.statements.byThread.all(threadId));
+    }
+
+    getUrlsByCanonicalUrl(canonicalUrl) {
+        return this.rowsToEntries(this.statements.byCanonicalUrl.all(canonicalUrl));
+    }
+
+    async replaceEntries(updates) {
+        const replaceAll = this.db.transaction(() => {
+            for (const { channelId, messageId, canonicalUrl, record } of updates) {
+                if (!this.isValidChange(record)) continue;
+                this.statements.replace.run({
+                    ...this.toRow(channelId, record),
+                    oldMessageId: messageId || null,
+                    oldCanonicalUrl: canonicalUrl
+                });
+            }
+        });
+        replaceAll();
+    }
+
+    async updateEntries(updates) {
+        const updateAll = this.db.transaction(() => {
+            let updatedCount = 0;
+            for (const { messageId, canonicalUrl, changes } of updates) {
+                const row = this.statements.byKey.get(messageId, canonicalUrl);
+                if (!row) continue;
+
+                const record = { ...JSON.parse(row.data), ...changes };
+                if (!this.isValidChange(record)) continue;
+                this.statements.replace.run({
+                    ...this.toRow(row.channel_id, record),
+                    oldMessageId: messageId,
+                    oldCanonicalUrl: canonicalUrl
+                });
+                updatedCount++;
+            }
+            return updatedCount;
+        });
+        return updateAll();
+    }
+
+    async removeEntry(messageId, canonicalUrl) {
+        return this.statements.deleteByMessage.run(messageId, canonicalUrl).changes > 0;
+    }
+
+    async getAllChannelIds() {
+        return this.statements.channelIds.all().map(row => row.channel_id);
+    }
+
+    async reload() {
+        try {
+            if (!this.storageFile) {
+                throw new Error('Storage file path not set. Initialize first.');
+            }
+
+            this.close();
+            this.open();
+
+            logWithTimestamp('URL storage reloaded', 'INFO');
+        } catch (error) {
+            logWithTimestamp(`Error reloading URL storage: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    async getStats() {
+        const stats = {
+            totalUrls: 0,
+            uniqueUrls: this.statements.uniqueCount.get().count,
+            deletedUrls: this.statements.deletedCount.get().count,
+            channelCount: 0,
+            urlsPerChannel: {}
+        };
+
+        for (const { channel_id: channelId, count } of this.statements.countsPerChannel.all()) {
+            stats.totalUrls += count;
+            stats.channelCount++;
+            stats.urlsPerChannel[channelId] = count;
+        }
+
+        return stats;
+    }
+
+    shutdown() {
+        super.shutdown();
+        this.close();
+    }
+}
+
+module.exports = SqliteUrlStorage;
\ No newline at end of file
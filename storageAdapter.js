@@ -0,0 +1,317 @@
+const { logWithTimestamp } = require('./utils');
+const { canonicalizer: defaultCanonicalizer } = require('./urlCanonicalizer');
+const { STORAGE_BACKEND } = require('./config');
+const { migrateUrlRecord, validateUrlRecord, holdsClaim, compareSubmissions } = require('./urlRecord');
+
+// Base class for URL storage backends. Every backend stores the same records (see urlRecord.js),
+// bucketed by the channel ID they were saved under, and compares URLs by canonical key.
+//
+// Backends must implement:
+//   init(), reload(), shutdown()
+//   findUrlHistory(url)        -> earliest posted entry still holding a claim on the URL, or null
+//   saveUrls(channelId, urls)  -> number of entries added; throws if they couldn't be stored
+//   deleteUrl(url)             -> true if the entry findUrlHistory returns was removed
+//   getUrls(channelId)         -> entries stored under a channel
+//   getStats()                 -> { totalUrls, uniqueUrls, deletedUrls, channelCount, urlsPerChannel }
+//                                 (totalUrls includes the deleted ones)
+//   getAllChannelIds(), isDuplicateUrl(url)
+//   getUrlsByUser(userId), getUrlsByMessage(messageId), getUrlsByThread(threadId)
+//   getUrlsByCanonicalUrl(canonicalUrl), removeEntry(messageId, canonicalUrl)
+//   replaceEntries([{ channelId, messageId, canonicalUrl, record }])
+//   updateEntries([{ messageId, canonicalUrl, changes }]) -> number of entries updated
+//   (both skip changes whose resulting record doesn't validate, see isValidChange)
+
+class StorageAdapter {
+    constructor(options = {}) {
+        this.canonicalizer = options.canonicalizer || defaultCanonicalizer;
+        this.mainChannelId = options.mainChannelId || null;
+        this.isInitialized = false;
+        this.urlLocks = new Map(); // canonicalUrl -> tail of the pending claim chain
+    }
+
+    getMainChannelId() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+        return mainChannelId;
+    }
+
+    // All lookups and writes compare canonical keys instead of raw URLs
+    canonicalize(url) {
+        return this.canonicalizer.canonicalize(url);
+    }
+
+    // Entries written before canonicalization existed get their key computed on load
+    withCanonicalUrl(entry) {
+        if (entry.canonicalUrl) return entry;
+        return { ...entry, canonicalUrl: this.canonicalize(entry.url) };
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    async init() { this.notImplemented('init'); }
+    async reload() { this.notImplemented('reload'); }
+    async findUrlHistory(url) { this.notImplemented('findUrlHistory'); }
+    async saveUrls(channelId, newUrls) { this.notImplemented('saveUrls'); }
+    async deleteUrl(url) { this.notImplemented('deleteUrl'); }
+    getUrls(channelId) { this.notImplemented('getUrls'); }
+    async getStats() { this.notImplemented('getStats'); }
+    async getAllChannelIds() { this.notImplemented('getAllChannelIds'); }
+    isDuplicateUrl(url) { this.notImplemented('isDuplicateUrl'); }
+    getUrlsByUser(userId) { this.notImplemented('getUrlsByUser'); }
+    getUrlsByMessage(messageId) { this.notImplemented('getUrlsByMessage'); }
+    getUrlsByThread(threadId) { this.notImplemented('getUrlsByThread'); }
+    getUrlsByCanonicalUrl(canonicalUrl) { this.notImplemented('getUrlsByCanonicalUrl'); }
+    async removeEntry(messageId, canonicalUrl) { this.notImplemented('removeEntry'); }
+    async replaceEntries(updates) { this.notImplemented('replaceEntries'); }
+    async updateEntries(updates) { this.notImplemented('updateEntries'); }
+
+    // Every write goes through here: the record is upgraded to the current schema and
+    // validated. Returns { record, problems }; records with problems must not be stored.
+    prepareEntry(channelId, newUrl) {
+        const { record, problems } = migrateUrlRecord({
+            ...newUrl,
+            canonicalUrl: this.canonicalize(newUrl.url)
+        }, channelId);
+        return { record, problems };
+    }
+
+    // Records changed by replaceEntries and updateEntries are validated like new ones; false
+    // (and logged) if the changed record must not be stored
+    isValidChange(record) {
+        const problems = validateUrlRecord(record);
+        if (problems.length > 0) {
+            logWithTimestamp(`Rejected invalid change to URL record ${record.url} (message ${record.messageId || 'unknown'}): ${problems.join(', ')}`, 'ERROR');
+        }
+        return problems.length === 0;
+    }
+
+    // Legacy records that only identify the poster by tag; see UrlTracker.backfillUserIds
+    async findRecordsMissingUserId() {
+        const records = [];
+        for (const channelId of await this.getAllChannelIds()) {
+            for (const entry of await this.getUrls(channelId)) {
+                if (!entry.userId && !entry.authorId) {
+                    records.push({ channelId, entry });
+                }
+            }
+        }
+        return records;
+    }
+
+    // Upgrade every stored record to the current schema. Records that can't be made valid are
+    // left untouched and reported, so nothing is lost and they can be fixed by hand.
+    // Canonical keys are recomputed too, so records stored under earlier canonicalizer rules
+    // are found by the current ones. A record whose new key another record of the same message
+    // already has is the same submission twice; it keeps its old key and is reported.
+    async migrateRecords() {
+        const updates = [];
+        const unrepairable = [];
+        const stored = [];
+        const messageKeys = new Set(); // messageId + canonicalUrl of every record, after rekeying
+
+        for (const channelId of await this.getAllChannelIds()) {
+            for (const entry of [...await this.getUrls(channelId)]) {
+                const current = this.withCanonicalUrl(entry);
+                stored.push({ channelId, entry, current });
+                messageKeys.add(`${entry.messageId}\n${current.canonicalUrl}`);
+            }
+        }
+
+        let rekeyed = 0;
+        for (const { channelId, entry, current } of stored) {
+            let canonicalUrl = this.canonicalize(current.url);
+            if (canonicalUrl !== current.canonicalUrl && entry.messageId) {
+                const newKey = `${entry.messageId}\n${canonicalUrl}`;
+                if (messageKeys.has(newKey)) {
+                    logWithTimestamp(`URL record ${entry.url} (message ${entry.messageId}, channel ${channelId}) keeps its canonical URL ${current.canonicalUrl}: the message already has a record for ${canonicalUrl}`, 'WARN');
+                    canonicalUrl = current.canonicalUrl;
+                } else {
+                    messageKeys.delete(`${entry.messageId}\n${current.canonicalUrl}`);
+                    messageKeys.add(newKey);
+                }
+            }
+
+            const { record, changed, problems } = migrateUrlRecord({ ...current, canonicalUrl }, channelId);
+            const keyChanged = canonicalUrl !== current.canonicalUrl;
+
+            if (problems.length > 0) {
+                unrepairable.push({ channelId, entry, problems });
+            } else if (changed || keyChanged) {
+                updates.push({ channelId, messageId: entry.messageId, canonicalUrl: current.canonicalUrl, record });
+                if (keyChanged) rekeyed++;
+            }
+        }
+
+        if (updates.length > 0) {
+            await this.replaceEntries(updates);
+            logWithTimestamp(`Migrated ${updates.length} URL records to the current schema (${rekeyed} with a new canonical URL)`, 'STARTUP');
+        }
+
+        for (const { channelId, entry, problems } of unrepairable) {
+            logWithTimestamp(`Could not migrate URL record ${entry.url} (message ${entry.messageId || 'unknown'}, channel ${channelId}): ${problems.join(', ')}`, 'WARN');
+        }
+        if (unrepairable.length > 0) {
+            logWithTimestamp(`${unrepairable.length} URL records could not be migrated and were left unchanged`, 'WARN');
+        }
+
+        return { migrated: updates.length, unrepairable };
+    }
+
+    // Run fn while holding the lock for one canonical URL; callers for other URLs aren't blocked
+    async withUrlLock(canonicalUrl, fn) {
+        const previous = this.urlLocks.get(canonicalUrl) || Promise.resolve();
+        const current = previous.then(fn);
+        const tail = current.catch(() => {});
+        this.urlLocks.set(canonicalUrl, tail);
+
+        try {
+            return await current;
+        } finally {
+            if (this.urlLocks.get(canonicalUrl) === tail) {
+                this.urlLocks.delete(canonicalUrl);
+            }
+        }
+    }
+
+    // Atomically check whether a URL was already submitted and, if not, store the new entry.
+    // The earliest submission always wins: if entries that were posted later than this one
+    // got stored first (because their handlers ran first), they are removed and returned as
+    // displaced so the caller can treat them as the duplicates they are.
+    // replaceTombstoneOf names the message of a deleted submission this one replaces; that
+    // tombstone is kept but gives up the claim ('reposted') in the same locked step, if it
+    // still holds it.
+    // Returns { claimed, existing, displaced }.
+    async claimUrl(channelId, newUrl, { replaceTombstoneOf = null } = {}) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return { claimed: false, existing: null, displaced: [] };
+        }
+
+        const canonicalUrl = this.canonicalize(newUrl.url);
+        return this.withUrlLock(canonicalUrl, async () => {
+            const allEntries = await this.getUrlsByCanonicalUrl(canonicalUrl);
+            const ownEntry = allEntries.find(entry => entry.messageId === newUrl.messageId);
+
+            if (ownEntry && holdsClaim(ownEntry)) {
+                return { claimed: true, existing: null, displaced: [] };
+            }
+
+            const tombstone = replaceTombstoneOf
+                ? allEntries.find(entry => entry.messageId === replaceTombstoneOf && entry.status === 'deleted')
+                : null;
+            const entries = allEntries.filter(entry =>
+                holdsClaim(entry) && entry !== tombstone && entry.messageId !== newUrl.messageId);
+            if (entries.some(entry => compareSubmissions(entry, newUrl) < 0)) {
+                return { claimed: false, existing: await this.findUrlHistory(newUrl.url), displaced: [] };
+            }
+
+            if (tombstone) {
+                await this.updateEntries([{
+                    messageId: tombstone.messageId,
+                    canonicalUrl,
+                    changes: { status: 'reposted' }
+                }]);
+                logWithTimestamp(`Claim for ${canonicalUrl} moved from deleted message ${tombstone.messageId} to repost ${newUrl.messageId}`, 'INFO');
+            }
+
+            for (const entry of entries) {
+                await this.removeEntry(entry.messageId, canonicalUrl);
+                logWithTimestamp(`Claim for ${canonicalUrl} moved from message ${entry.messageId} to earlier message ${newUrl.messageId}`, 'INFO');
+            }
+
+            // A URL edited back into the message it was superseded or rejected in reuses that record
+            if (ownEntry) {
+                const updatedCount = await this.updateEntries([{
+                    messageId: newUrl.messageId,
+                    canonicalUrl,
+                    changes: {
+                        status: 'active',
+                        supersededAt: null,
+                        timestamp: newUrl.timestamp,
+                        verdict: newUrl.verdict || null,
+                        duplicateOf: null
+                    }
+                }]);
+                return { claimed: updatedCount > 0, existing: null, displaced: entries };
+            }
+
+            const addedCount = await this.saveUrls(channelId, [newUrl]);
+            return { claimed: addedCount > 0, existing: null, displaced: entries };
+        });
+    }
+
+    async addUrl(url, userId, channelId, threadId = null, messageId, author = 'Unknown') {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const trimmedUrl = url.trim();
+        if (await this.isDuplicateUrl(trimmedUrl)) {
+            logWithTimestamp(`Skipped duplicate URL: ${trimmedUrl}`, 'INFO');
+            return null;
+        }
+
+        const urlEntry = {
+            url: trimmedUrl,
+            canonicalUrl: this.canonicalize(trimmedUrl),
+            userId,
+            channelId,
+            threadId,
+            messageId,
+            author,
+            timestamp: Date.now()
+        };
+
+        const addedCount = await this.saveUrls(channelId, [urlEntry]);
+        if (addedCount > 0) {
+            logWithTimestamp(`Added URL: ${trimmedUrl} by ${author}`, 'INFO');
+            return urlEntry;
+        }
+        return null;
+    }
+
+    async cleanup() {
+        // This method is now disabled
+        logWithTimestamp('URL cleanup is disabled - URLs will be kept forever', 'INFO');
+        return;
+    }
+
+    shutdown() {
+        logWithTimestamp('URL Storage shutting down...', 'SHUTDOWN');
+        this.isInitialized = false;
+    }
+}
+
+// Backends are required lazily so the SQLite driver is only needed when it's selected
+function createUrlStorage(backend = STORAGE_BACKEND, options = {}) {
+    switch (backend) {
+        case 'json': {
+            const UrlStorage = require('./urlStore');
+            return new UrlStorage(options);
+        }
+        case 'sqlite': {
+            let SqliteUrlStorage;
+            try {
+                SqliteUrlStorage = require('./sqliteUrlStore');
+            } catch (error) {
+                if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+                    throw new Error('The sqlite storage backend needs the better-sqlite3 package: npm install better-sqlite3');
+                }
+                throw error;
+            }
+            return new SqliteUrlStorage(options);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    StorageAdapter,
+    createUrlStorage
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { logWithTimestamp } = require('./utils');
+const { TIERS_FILE } = require('./config');
+
+const LEGACY_TIER_COUNT = 6;
+const RELOAD_DELAY = 500; // editors often write a file in several steps
+
+const DISCORD_ID = /^\d+$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+// Tier roles and threads are read from TIERS_FILE (see tiers.example.json):
+//   {
+//     "tiers": [                           // lowest tier first
+//       {
+//         "name": "Seedling",              // shown in commands and logs; "Tier <n>" if omitted
+//         "color": "#57f287",              // of the tier in !tiers
+//         "roles": ["123456789012345678"], // any of them puts a member in the tier
+//         "thread": "234567890123456789"   // the tier thread
+//       }
+//     ],
+//     "ignoredRoles": ["345678901234567890"] // may post in every tier thread and are never removed
+//   }
+// A member's tier is the highest one they have a role of; tiers are numbered from 0 in file order.
+// Without the file, the tiers come from ROLE_<n>_ID / THREAD_<n>_ID and IGNORED_ROLES.
+//
+// The file is watched: edits are picked up without a restart, and so is !tiers reload. A file
+// that doesn't validate is refused as a whole and the tiers in use stay, so a typo can't empty
+// the tier threads. Everything reads the tiers from here on every use, never keeps copies.
+class TierRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.resolve(__dirname, TIERS_FILE);
+        this.tiers = []; // [{ index, name, color, roleIds, threadId }]
+        this.ignoredRoles = new Set();
+        this.source = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    // Throws if the tiers can't be read or don't validate, keeping the ones in use
+    async load() {
+        let raw = null;
+        try {
+            raw = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (raw === null) {
+            this.setConfig(this.legacyConfig());
+            this.source = 'environment variables';
+        } else {
+            let config;
+            try {
+                config = JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`${path.basename(this.filePath)} is not valid JSON: ${error.message}`);
+            }
+            this.setConfig(config);
+            this.source = path.basename(this.filePath);
+        }
+
+        logWithTimestamp(`Loaded ${this.tiers.length} tiers and ${this.ignoredRoles.size} ignored roles from ${this.source}`, 'CONFIG');
+        return this.tiers;
+    }
+
+    // Before the tiers file existed, there were always six tiers of one role each
+    legacyConfig() {
+        return {
+            tiers: Array.from({ length: LEGACY_TIER_COUNT }, (_, i) => ({
+                roles: [process.env[`ROLE_${i}_ID`]],
+                thread: process.env[`THREAD_${i}_ID`]
+            })).filter(tier => tier.roles[0] || tier.thread),
+            ignoredRoles: process.env.IGNORED_ROLES
+                ? process.env.IGNORED_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+                : []
+        };
+    }
+
+    // Without the tiers file every tier needs its ROLE_<n>_ID and THREAD_<n>_ID, checked at startup
+    requiredEnvironmentVariables() {
+        if (fs.existsSync(this.filePath)) return [];
+        return [
+            ...Array.from({ length: LEGACY_TIER_COUNT }, (_, i) => `ROLE_${i}_ID`),
+            ...Array.from({ length: LEGACY_TIER_COUNT }, (_, i) => `THREAD_${i}_ID`)
+        ];
+    }
+
+    setConfig(config) {
+        if (!config || !Array.isArray(config.tiers) || config.tiers.length === 0) {
+            throw new Error('tiers must be a non-empty list');
+        }
+
+        const roleTiers = new Map();
+        const threadTiers = new Map();
+        const tiers = config.tiers.map((tier, index) => {
+            const label = tier?.name || `tier ${index}`;
+            if (!tier || typeof tier !== 'object') {
+                throw new Error(`${label} is not an object`);
+            }
+            if (!Array.isArray(tier.roles) || tier.roles.length === 0 || !tier.roles.every(roleId => DISCORD_ID.test(roleId))) {
+                throw new Error(`${label} needs roles, a list of role IDs`);
+            }
+            if (!DISCORD_ID.test(tier.thread)) {
+                throw new Error(`${label} needs thread, a thread ID`);
+            }
+            if (tier.color !== undefined && !COLOR.test(tier.color)) {
+                throw new Error(`${label} has color ${tier.color}, expected #rrggbb`);
+            }
+
+            for (const roleId of tier.roles) {
+                if (roleTiers.has(roleId)) {
+                    throw new Error(`role ${roleId} is in both ${roleTiers.get(roleId)} and ${label}`);
+                }
+                roleTiers.set(roleId, label);
+            }
+            if (threadTiers.has(tier.thread)) {
+                throw new Error(`thread ${tier.thread} is used by both ${threadTiers.get(tier.thread)} and ${label}`);
+            }
+            threadTiers.set(tier.thread, label);
+
+            return {
+                index,
+                name: tier.name || `Tier ${index}`,
+                color: tier.color || null,
+                roleIds: [...tier.roles],
+                threadId: tier.thread
+            };
+        });
+
+        const ignoredRoles = config.ignoredRoles || [];
+        if (!Array.isArray(ignoredRoles) || !ignoredRoles.every(roleId => DISCORD_ID.test(roleId))) {
+            throw new Error('ignoredRoles must be a list of role IDs');
+        }
+
+        this.tiers = tiers;
+        this.ignoredRoles = new Set(ignoredRoles);
+    }
+
+    // Reloads the file whenever it changes. The directory is watched rather than the file, so
+    // the file being replaced (as editors and deploys do) doesn't end the watch.
+    watch() {
+        if (this.watcher) return;
+
+        const fileName = path.basename(this.filePath);
+        try {
+            this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+                if (changed !== fileName) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload().catch(() => {}), RELOAD_DELAY);
+            });
+            this.watcher.on('error', error => logWithTimestamp(`Error watching ${fileName}: ${error.message}`, 'ERROR'));
+            logWithTimestamp(`Watching ${fileName} for tier changes`, 'CONFIG');
+        } catch (error) {
+            logWithTimestamp(`Could not watch ${fileName}, use !tiers reload after editing it: ${error.message}`, 'WARN');
+        }
+    }
+
+    // Like load(), but logs the outcome; throws if the new tiers were refused
+    async reload() {
+        try {
+            const tiers = await this.load();
+            logWithTimestamp(`Tiers reloaded: ${tiers.map(tier => tier.name).join(', ')}`, 'CONFIG');
+            return tiers;
+        } catch (error) {
+            logWithTimestamp(`Tiers not reloaded, keeping the ${this.tiers.length} tiers in use: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    getTiers() {
+        return this.tiers;
+    }
+
+    getTier(index) {
+        return this.tiers[index] || null;
+    }
+
+    // "2" or a tier name (any case); null if there's no such tier
+    findTier(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (/^\d+$/.test(text)) {
+            return this.getTier(parseInt(text));
+        }
+        return this.tiers.find(tier => tier.name.toLowerCase() === text) || null;
+    }
+
+    getThreadIds() {
+        return this.tiers.map(tier => tier.threadId);
+    }
+
+    isTierThread(threadId) {
+        return this.tiers.some(tier => tier.threadId === threadId);
+    }
+
+    getThreadTier(threadId) {
+        return this.tiers.find(tier => tier.threadId === threadId) || null;
+    }
+
+    // Highest tier index a member has a role of, -1 if none; memberRoles is member.roles.cache
+    findHighestTier(memberRoles) {
+        for (let i = this.tiers.length - 1; i >= 0; i--) {
+            if (this.tiers[i].roleIds.some(roleId => memberRoles.has(roleId))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    getThreadForTier(index) {
+        return this.tiers[index]?.threadId || null;
+    }
+
+    isIgnored(member) {
+        return member.roles.cache.some(role => this.ignoredRoles.has(role.id));
+    }
+
+    tierName(index) {
+        return this.tiers[index]?.name || `Tier ${index}`;
+    }
+
+    shutdown() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+module.exports = TierRegistry;
\ No newline at end of file
@@ -0,0 +1,137 @@
+const path = require('path');
+const { logWithTimestamp, atomicWriteFile, readJsonWithBackup } = require('./utils');
+const WriteQueue = require('./writeQueue');
+
+// How submissions from accounts that aren't linked to the poster are handled (see handleRegistry.js)
+//   off     not checked
+//   flag    accepted, but reported in the log channel
+//   reject  refused like a duplicate
+const OWNERSHIP_CHECKS = ['off', 'flag', 'reject'];
+
+const HOURS_PER_UNIT = { h: 1, d: 24, w: 24 * 7 };
+
+// "3/24h", "10/7d" or "10/1w" -> { limit, windowHours }, or null if it doesn't parse
+function parseQuota(text) {
+    const match = (text || '').trim().toLowerCase().match(/^(\d+)\/(\d+)([hdw])$/);
+    if (!match) return null;
+
+    const limit = parseInt(match[1]);
+    const windowHours = parseInt(match[2]) * HOURS_PER_UNIT[match[3]];
+    return limit > 0 && windowHours > 0 ? { limit, windowHours } : null;
+}
+
+function formatQuota({ limit, windowHours }) {
+    const [unit, hours] = windowHours % HOURS_PER_UNIT.w === 0 ? ['week', HOURS_PER_UNIT.w]
+        : windowHours % HOURS_PER_UNIT.d === 0 ? ['day', HOURS_PER_UNIT.d]
+            : ['hour', HOURS_PER_UNIT.h];
+    const count = windowHours / hours;
+    return `${limit} per ${count === 1 ? unit : `${count} ${unit}s`}`;
+}
+
+// Per-tier settings, keyed by the tier's thread ID (see tierRegistry.js) and stored next to the
+// URL DB as TIER_SETTINGS_<mainChannelId>.json. Admins change them at runtime through
+// commands, so every change is written straight away.
+//
+//   allowedPlatforms   platforms (see UrlCanonicalizer.getPlatforms) accepted as submissions
+//                      in the thread, or null to accept every platform
+//   ownershipCheck     one of OWNERSHIP_CHECKS; 'off' when not set
+//   quota              { limit, windowHours }: how many submissions a member may post in the thread
+//                      within any window of that many hours; no limit when not set
+class TierSettings {
+    constructor(options = {}) {
+        this.mainChannelId = options.mainChannelId || null;
+        this.settingsFile = '';
+        this.settings = {};
+        this.writeQueue = new WriteQueue(() => this.save());
+    }
+
+    async init() {
+        const mainChannelId = this.mainChannelId || process.env.MAIN_CHANNEL_ID;
+        if (!mainChannelId) {
+            throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+        }
+
+        this.settingsFile = path.join(__dirname, `TIER_SETTINGS_${mainChannelId}.json`);
+        this.settings = await readJsonWithBackup(this.settingsFile, {});
+        logWithTimestamp(`Tier settings loaded for ${Object.keys(this.settings).length} threads`, 'STARTUP');
+    }
+
+    get(threadId) {
+        return this.settings[threadId] || {};
+    }
+
+    // Merge changes into a thread's settings; a null value resets that setting to its default
+    async update(threadId, changes) {
+        const settings = { ...this.get(threadId), ...changes };
+        for (const [key, value] of Object.entries(settings)) {
+            if (value === null) {
+                delete settings[key];
+            }
+        }
+
+        if (Object.keys(settings).length > 0) {
+            this.settings[threadId] = settings;
+        } else {
+            delete this.settings[threadId];
+        }
+
+        await this.writeQueue.push([threadId]);
+        return this.get(threadId);
+    }
+
+    async save() {
+        await atomicWriteFile(this.settingsFile, JSON.stringify(this.settings, null, 2), { backup: true });
+    }
+
+    getAllowedPlatforms(threadId) {
+        return this.get(threadId).allowedPlatforms || null;
+    }
+
+    async setAllowedPlatforms(threadId, platforms) {
+        const settings = await this.update(threadId, { allowedPlatforms: platforms ? [...new Set(platforms)] : null });
+        logWithTimestamp(`Allowed platforms for thread ${threadId} set to ${platforms ? platforms.join(', ') : 'all'}`, 'CONFIG');
+        return settings.allowedPlatforms || null;
+    }
+
+    isPlatformAllowed(threadId, platform) {
+        const allowedPlatforms = this.getAllowedPlatforms(threadId);
+        return !allowedPlatforms || allowedPlatforms.includes(platform);
+    }
+
+    getOwnershipCheck(threadId) {
+        return this.get(threadId).ownershipCheck || 'off';
+    }
+
+    async setOwnershipCheck(threadId, mode) {
+        if (!OWNERSHIP_CHECKS.includes(mode)) {
+            throw new Error(`Unknown ownership check ${mode}`);
+        }
+        await this.update(threadId, { ownershipCheck: mode === 'off' ? null : mode });
+        logWithTimestamp(`Ownership check for thread ${threadId} set to ${mode}`, 'CONFIG');
+        return mode;
+    }
+
+    getQuota(threadId) {
+        return this.get(threadId).quota || null;
+    }
+
+    async setQuota(threadId, quota) {
+        if (quota && !(Number.isInteger(quota.limit) && quota.limit > 0 && quota.windowHours > 0)) {
+            throw new Error('Quota needs a positive limit and window');
+        }
+        await this.update(threadId, { quota: quota ? { limit: quota.limit, windowHours: quota.windowHours } : null });
+        logWithTimestamp(`Submission quota for thread ${threadId} set to ${quota ? formatQuota(quota) : 'none'}`, 'CONFIG');
+        return quota;
+    }
+
+    async shutdown() {
+        await this.writeQueue.drain();
+    }
+}
+
+module.exports = {
+    TierSettings,
+    OWNERSHIP_CHECKS,
+    parseQuota,
+    formatQuota
+};
\ No newline at end of file
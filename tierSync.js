@@ -0,0 +1,152 @@
+const { logWithTimestamp } = require('./utils');
+const { TIER_SYNC_DELAY } = require('./config');
+
+// Keeps tier thread membership in step with members' roles as they change, instead of waiting
+// for the scheduled cleanup. Role edits arrive as one event per role, so a member is only synced
+// once their roles have stopped changing for TIER_SYNC_DELAY. The thread rules are the cleaner's
+// (ThreadCleaner.memberHasCorrectRoleForThread), and so are the removals: they go through
+// ModerationActions and are only logged in a dry run.
+class TierSync {
+    constructor(client, threadCleaner, urlTracker) {
+        this.client = client;
+        this.threadCleaner = threadCleaner;
+        this.urlTracker = urlTracker; // for sendLogToChannel
+        this.pending = new Map(); // memberId -> { timer, previousTier }
+    }
+
+    // Highest tier index, 'exempt' for members with an ignored role, -1 for no tier role
+    getTier(member) {
+        if (this.threadCleaner.tierRegistry.isIgnored(member)) {
+            return 'exempt';
+        }
+        return this.threadCleaner.tierRegistry.findHighestTier(member.roles.cache);
+    }
+
+    describeTier(tier) {
+        if (tier === 'exempt') return 'exempt (ignored role)';
+        if (tier === null) return 'unknown';
+        return tier === -1 ? 'none' : this.threadCleaner.tierRegistry.tierName(tier);
+    }
+
+    handleMemberUpdate(oldMember, newMember) {
+        if (newMember.user?.bot) return;
+
+        const pending = this.pending.get(newMember.id);
+
+        // The tier before the first of a burst of changes; unknown if the old member wasn't cached
+        const previousTier = pending
+            ? pending.previousTier
+            : oldMember.partial ? null : this.getTier(oldMember);
+        if (!pending && previousTier !== null && previousTier === this.getTier(newMember)) {
+            return;
+        }
+
+        if (pending) {
+            clearTimeout(pending.timer);
+        }
+        const timer = setTimeout(() => {
+            this.pending.delete(newMember.id);
+            this.syncMember(newMember.guild, newMember.id, previousTier)
+                .catch(error => logWithTimestamp(`Error syncing tier threads of member ${newMember.id}: ${error.message}`, 'ERROR'));
+        }, TIER_SYNC_DELAY);
+        this.pending.set(newMember.id, { timer, previousTier });
+    }
+
+    async handleMemberRemove(member) {
+        const pending = this.pending.get(member.id);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pending.delete(member.id);
+        }
+
+        try {
+            const removedFrom = [];
+            for (const thread of await this.fetchTierThreads()) {
+                if (await this.isThreadMember(thread, member.id)) {
+                    await this.threadCleaner.moderationActions.removeThreadMember(thread, member.id, { reason: 'left server' });
+                    removedFrom.push(thread);
+                }
+            }
+            if (removedFrom.length === 0) return;
+
+            logWithTimestamp(`Member ${member.id} left the server, removed from ${removedFrom.map(thread => thread.name).join(', ')}`, 'INFO');
+            await this.urlTracker.sendLogToChannel(this.logTitle('Member Left, Removed From Tier Threads'), [
+                { name: 'Member', value: `<@${member.id}> (${member.user?.tag || member.id})` },
+                { name: 'Removed from', value: removedFrom.map(thread => `<#${thread.id}>`).join(', ') }
+            ]);
+        } catch (error) {
+            logWithTimestamp(`Error removing departed member ${member.id} from tier threads: ${error.message}`, 'ERROR');
+        }
+    }
+
+    // Removes the member from every tier thread they don't belong in and adds them to the one they do
+    async syncMember(guild, memberId, previousTier = null) {
+        const member = await guild.members.fetch({ user: memberId, force: true }).catch(() => null);
+        if (!member) return;
+
+        const tier = this.getTier(member);
+        if (previousTier !== null && previousTier === tier) {
+            logWithTimestamp(`Roles of member ${memberId} changed back to ${this.describeTier(tier)}, nothing to sync`, 'INFO');
+            return;
+        }
+
+        const correctThreadId = typeof tier === 'number' ? this.threadCleaner.tierRegistry.getThreadForTier(tier) : null;
+        const removedFrom = [];
+        let addedTo = null;
+
+        for (const thread of await this.fetchTierThreads()) {
+            const belongs = this.threadCleaner.memberHasCorrectRoleForThread(member, thread.id);
+            const isMember = await this.isThreadMember(thread, memberId);
+
+            if (isMember && !belongs) {
+                await this.threadCleaner.moderationActions.removeThreadMember(thread, memberId, { reason: 'tier changed' });
+                removedFrom.push(thread);
+            } else if (!isMember && thread.id === correctThreadId) {
+                await this.threadCleaner.moderationActions.addThreadMember(thread, memberId, { reason: 'tier changed' });
+                addedTo = thread;
+            }
+        }
+
+        logWithTimestamp(`Tier of member ${member.user.tag} (${memberId}) changed from ${this.describeTier(previousTier)} to ${this.describeTier(tier)}: ` +
+            `removed from ${removedFrom.length} threads${addedTo ? `, added to ${addedTo.name}` : ''}`, 'INFO');
+        if (removedFrom.length === 0 && !addedTo) return;
+
+        await this.urlTracker.sendLogToChannel(this.logTitle('Member Tier Changed'), [
+            { name: 'Member', value: `${member} (${member.user.tag})` },
+            { name: 'Tier', value: `${this.describeTier(previousTier)} → ${this.describeTier(tier)}` },
+            { name: 'Removed from', value: removedFrom.map(thread => `<#${thread.id}>`).join(', ') || 'none' },
+            { name: 'Added to', value: addedTo ? `<#${addedTo.id}>` : 'none' }
+        ]);
+    }
+
+    logTitle(title) {
+        return this.threadCleaner.moderationActions.dryRun ? `${title} (Dry Run, Simulated)` : title;
+    }
+
+    async fetchTierThreads() {
+        const threads = [];
+        for (const threadId of this.threadCleaner.tierRegistry.getThreadIds()) {
+            const thread = await this.client.channels.fetch(threadId).catch(() => null);
+            if (thread && thread.isThread()) {
+                threads.push(thread);
+            } else {
+                logWithTimestamp(`Tier thread ${threadId} not found, skipping it in tier sync`, 'WARN');
+            }
+        }
+        return threads;
+    }
+
+    async isThreadMember(thread, memberId) {
+        const threadMember = await thread.members.fetch({ member: memberId }).catch(() => null);
+        return Boolean(threadMember);
+    }
+
+    shutdown() {
+        for (const { timer } of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+    }
+}
+
+module.exports = TierSync;
\ No newline at end of file
@@ -0,0 +1,258 @@
+const { logWithTimestamp } = require('./utils');
+
+// Query parameters that only carry tracking/sharing data and never change the content
+const TRACKING_PARAMS = ['s', 't', 'si', 'fbclid'];
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// Subdomain prefixes that point to the same content as the bare domain
+const STRIPPED_HOST_PREFIXES = ['www.', 'm.', 'mobile.'];
+
+// Hosts that are aliases or mirrors of another host
+const HOST_ALIASES = {
+    'twitter.com': 'x.com',
+    'fxtwitter.com': 'x.com',
+    'vxtwitter.com': 'x.com',
+    'fixupx.com': 'x.com',
+    'fixvx.com': 'x.com',
+    'youtu.be': 'youtube.com',
+    'youtube-nocookie.com': 'youtube.com',
+    'old.reddit.com': 'reddit.com',
+    'new.reddit.com': 'reddit.com',
+    'np.reddit.com': 'reddit.com'
+};
+
+// Per-platform rules. Each rule receives the already normalized URL object and
+// returns the canonical URL string, or null to fall back to generic normalization.
+// Rules can also implement handle(parsed, originalHost) to return the account the URL
+// belongs to (lowercase, without '@'), or null if the URL doesn't name one.
+const DEFAULT_RULES = [
+    {
+        platform: 'x',
+        hosts: ['x.com'],
+        canonicalize(parsed) {
+            const match = parsed.pathname.match(/^\/(?:[^/]+|i(?:\/web)?)\/status(?:es)?\/(\d+)/i);
+            return match ? `https://x.com/i/status/${match[1]}` : null;
+        },
+        handle(parsed) {
+            const match = parsed.pathname.match(/^\/([a-z0-9_]{1,15})(?:\/|$)/i);
+            const reserved = ['i', 'home', 'search', 'explore', 'intent', 'hashtag', 'settings'];
+            return match && !reserved.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
+        }
+    },
+    {
+        platform: 'youtube',
+        hosts: ['youtube.com'],
+        canonicalize(parsed, originalHost) {
+            let videoId = null;
+
+            if (originalHost === 'youtu.be') {
+                videoId = parsed.pathname.split('/')[1];
+            } else if (parsed.pathname === '/watch') {
+                videoId = parsed.searchParams.get('v');
+            } else {
+                const match = parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/]+)/);
+                videoId = match ? match[1] : null;
+            }
+
+            return videoId ? `https://youtube.com/watch?v=${videoId}` : null;
+        },
+        handle(parsed) {
+            // Video links don't name the channel; only channel pages do
+            const match = parsed.pathname.match(/^\/(?:@|c\/|user\/)([^/]+)/);
+            return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+        }
+    },
+    {
+        platform: 'medium',
+        hosts: ['medium.com', '*.medium.com'],
+        canonicalize(parsed) {
+            // Medium post URLs end with a hex post ID, regardless of author or publication slug
+            const match = parsed.pathname.match(/(?:^\/p\/|-)([0-9a-f]{8,12})$/);
+            return match ? `https://medium.com/p/${match[1]}` : null;
+        },
+        handle(parsed) {
+            if (parsed.hostname !== 'medium.com') {
+                return parsed.hostname.slice(0, -'.medium.com'.length);
+            }
+            const match = parsed.pathname.match(/^\/@([^/]+)/);
+            return match ? match[1].toLowerCase() : null;
+        }
+    },
+    {
+        platform: 'reddit',
+        hosts: ['reddit.com', 'redd.it'],
+        canonicalize(parsed, originalHost) {
+            if (originalHost === 'redd.it') {
+                const postId = parsed.pathname.split('/')[1];
+                return postId ? `https://reddit.com/comments/${postId.toLowerCase()}` : null;
+            }
+
+            const match = parsed.pathname.match(/^(?:\/r\/[^/]+)?\/comments\/([a-z0-9]+)/i);
+            return match ? `https://reddit.com/comments/${match[1].toLowerCase()}` : null;
+        },
+        handle(parsed) {
+            const match = parsed.pathname.match(/^\/(?:u|user)\/([^/]+)/i);
+            return match ? match[1].toLowerCase() : null;
+        }
+    },
+    {
+        platform: 'github',
+        hosts: ['github.com'],
+        canonicalize(parsed) {
+            // Owner and repository names are case-insensitive; anything below them isn't
+            const match = parsed.pathname.match(/^\/([^/]+)\/([^/]+?)(?:\.git)?(\/.*)?$/);
+            return match ? `https://github.com/${match[1].toLowerCase()}/${match[2].toLowerCase()}${match[3] || ''}` : null;
+        },
+        handle(parsed) {
+            const match = parsed.pathname.match(/^\/([^/]+)/);
+            return match ? match[1].toLowerCase() : null;
+        }
+    },
+    {
+        // Blog hosts without a platform of their own; their URLs only get generic normalization
+        platform: 'blog',
+        hosts: [
+            'substack.com', '*.substack.com', 'mirror.xyz', '*.mirror.xyz', 'paragraph.xyz',
+            'hashnode.dev', '*.hashnode.dev', 'dev.to', '*.ghost.io', '*.blogspot.com', '*.wordpress.com'
+        ],
+        canonicalize() {
+            return null;
+        },
+        handle(parsed) {
+            // Hosted blogs are named by their subdomain, the others by the first path segment
+            const labels = parsed.hostname.split('.');
+            if (labels.length > 2) {
+                return labels[0];
+            }
+            const match = parsed.pathname.match(/^\/@?([^/]+)/);
+            return match ? match[1].toLowerCase() : null;
+        }
+    }
+];
+
+class UrlCanonicalizer {
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = [...rules];
+    }
+
+    // Add a platform rule; rules added later take precedence over the defaults
+    addRule(rule) {
+        if (!rule || !Array.isArray(rule.hosts) || typeof rule.canonicalize !== 'function') {
+            throw new Error('Canonicalizer rule must have a hosts array and a canonicalize function');
+        }
+        this.rules.unshift(rule);
+    }
+
+    // Platform names URLs can be described with; anything without a rule is 'web'
+    getPlatforms() {
+        return [...new Set([...this.rules.map(rule => rule.platform).filter(Boolean), 'web'])];
+    }
+
+    findRule(host) {
+        return this.rules.find(rule => rule.hosts.some(pattern =>
+            pattern.startsWith('*.')
+                ? host.endsWith(pattern.substring(1))
+                : host === pattern
+        ));
+    }
+
+    normalizeHost(hostname) {
+        let host = hostname.toLowerCase().replace(/\.$/, '');
+
+        for (const prefix of STRIPPED_HOST_PREFIXES) {
+            if (host.startsWith(prefix)) {
+                host = host.substring(prefix.length);
+                break;
+            }
+        }
+
+        return HOST_ALIASES[host] || host;
+    }
+
+    // Returns { canonicalUrl, platform, host, path, handle } for a URL, or null if it cannot
+    // be parsed. host and path are normalized but not canonicalized, so they still carry
+    // whatever the platform rule would throw away (like the account in an x.com status link).
+    describe(url) {
+        if (!url || typeof url !== 'string') return null;
+
+        let input = url.trim();
+        if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+            input = `https://${input}`;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(input);
+        } catch {
+            return null;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return null;
+        }
+
+        const originalHost = parsed.hostname.toLowerCase();
+        const host = this.normalizeHost(parsed.hostname);
+
+        parsed.protocol = 'https:';
+        parsed.hostname = host;
+        parsed.port = '';
+        parsed.hash = '';
+        parsed.username = '';
+        parsed.password = '';
+
+        // Drop tracking parameters and sort the rest so parameter order doesn't matter
+        const params = [...parsed.searchParams.entries()]
+            .filter(([key]) => {
+                const lowerKey = key.toLowerCase();
+                return !TRACKING_PARAMS.includes(lowerKey) &&
+                    !TRACKING_PARAM_PREFIXES.some(prefix => lowerKey.startsWith(prefix));
+            })
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = new URLSearchParams(params).toString();
+
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+        const rule = this.findRule(host);
+        const details = { host, path: parsed.pathname, handle: this.findHandle(rule, parsed, originalHost) };
+        if (rule) {
+            try {
+                const canonicalUrl = rule.canonicalize(parsed, originalHost);
+                if (canonicalUrl) {
+                    return { canonicalUrl, platform: rule.platform || host, ...details };
+                }
+            } catch (error) {
+                logWithTimestamp(`Canonicalizer rule ${rule.platform} failed for ${url}: ${error.message}`, 'ERROR');
+            }
+        }
+
+        const path = parsed.pathname === '/' ? '' : parsed.pathname;
+        return {
+            canonicalUrl: `https://${host}${path}${parsed.search}`,
+            platform: rule?.platform || 'web',
+            ...details
+        };
+    }
+
+    findHandle(rule, parsed, originalHost) {
+        if (!rule || typeof rule.handle !== 'function') return null;
+        try {
+            return rule.handle(parsed, originalHost) || null;
+        } catch (error) {
+            logWithTimestamp(`Canonicalizer rule ${rule.platform} could not read the handle of ${parsed.href}: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
+    // Returns the canonical key for a URL; unparsable input falls back to the trimmed string
+    canonicalize(url) {
+        const described = this.describe(url);
+        return described ? described.canonicalUrl : (url || '').trim();
+    }
+}
+
+module.exports = {
+    UrlCanonicalizer,
+    DEFAULT_RULES,
+    canonicalizer: new UrlCanonicalizer()
+};
\ No newline at end of file
@@ -0,0 +1,271 @@
+const { compareSnowflakes } = require('./utils');
+
+// Schema for the URL records kept by the storage backends.
+//
+// Version 5 fields:
+//   schemaVersion   RECORD_SCHEMA_VERSION
+//   url             URL as posted (trimmed)
+//   canonicalUrl    canonical key used for duplicate detection
+//   userId          Discord ID of the poster
+//   author          poster's tag at the time of posting, for display only
+//   messageId       ID of the message the URL was posted in
+//   messageUrl      jump link to that message
+//   guildId         guild of the message
+//   channelId       channel the message was posted in (the thread, for forum posts)
+//   threadId        same as channelId for thread messages, otherwise null
+//   threadName      thread name at the time of posting, or null
+//   forumChannelId  parent forum of the thread, or null
+//   timestamp       time the URL was submitted in ms (message creation, or the edit that added it).
+//                   Which submission came first is decided by post order instead, see compareSubmissions
+//   status          'active', 'superseded' once the URL was edited out of its message,
+//                   'deleted' once the message was deleted, 'rejected' if the submission
+//                   was refused by the duplicate policy (kept so the decision can be looked up),
+//                   'transferred' once a moderator gave the URL to a later submission, or 'reposted'
+//                   once its poster deleted it and soon posted the URL again (the deletion fields stay)
+//   verdict         outcome of the duplicate check (see RECORD_VERDICTS), null if never checked
+//   duplicateOf     message ID of the earlier submission a rejected record duplicated, or null
+//   supersededAt    when the record was superseded, or null
+//   deletedAt       when the message was deleted, or null
+//   deletedBy       who deleted it: 'author', 'moderator' or 'unknown'; null while not deleted
+//   overriddenBy    user ID of the moderator who accepted a refused submission ('overridden'
+//                   verdict) or transferred the URL away from this one ('transferred' status), or null
+//   overriddenAt    when that happened, or null
+//
+// Version 1 records had no status; they are all active. Version 2 records had no deletion fields,
+// version 3 records had no verdict, version 4 records had no override fields. Deleted records keep
+// their claim: the URL was submitted, the tombstone decides what a repost means.
+const RECORD_SCHEMA_VERSION = 5;
+
+const RECORD_STATUSES = ['active', 'superseded', 'deleted', 'rejected', 'transferred', 'reposted'];
+const DELETED_BY = ['author', 'moderator', 'unknown'];
+
+// Ordered from least to most severe
+const RECORD_VERDICTS = [
+    'new',                    // first submission of the URL
+    'reposted_after_delete',  // own repost shortly after deleting the original, accepted as new
+    'overridden',             // refused as a duplicate, then accepted by a moderator
+    'own_same_thread',        // own repost in the same thread
+    'own_deleted',            // own repost long after deleting the original
+    'own_other_thread',       // own repost in a different thread
+    'not_owner',              // URL names an account that isn't linked to the poster
+    'other_user',             // URL was already submitted by someone else
+    'off_platform',           // URL's platform isn't accepted in the tier thread
+    'over_quota',             // poster already used up the tier thread's submission quota
+    'warned',                 // URL refused by a link policy "warn" rule
+    'blocked'                 // URL removed by a link policy "delete" rule
+];
+
+// Verdicts under which the submission is accepted and holds the claim on its URL
+const ACCEPTED_VERDICTS = ['new', 'reposted_after_delete', 'overridden'];
+
+// Refusals a moderator can override (see UrlTracker.overrideSubmission)
+const DUPLICATE_VERDICTS = ['own_same_thread', 'own_deleted', 'own_other_thread', 'other_user'];
+
+// Records in these states no longer count as a submission of their URL
+const RELEASED_STATUSES = ['superseded', 'rejected', 'transferred', 'reposted'];
+
+const REQUIRED_FIELDS = ['url', 'canonicalUrl', 'userId', 'messageId', 'channelId', 'timestamp', 'status'];
+
+const DISCORD_EPOCH = 1420070400000n;
+const MESSAGE_URL_PATTERN = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/;
+
+function buildMessageUrl(guildId, channelId, messageId) {
+    return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+}
+
+function snowflakeToTimestamp(snowflake) {
+    return Number((BigInt(snowflake) >> 22n) + DISCORD_EPOCH);
+}
+
+function isSnowflake(value) {
+    return typeof value === 'string' && /^\d{15,21}$/.test(value);
+}
+
+// Whether a record still counts as the submission of its URL for duplicate checks
+function holdsClaim(record) {
+    return !RELEASED_STATUSES.includes(record.status);
+}
+
+// When the submission's message was posted; editing the message doesn't change it. Legacy
+// records without a message ID only have their timestamp.
+function postedAt(record) {
+    return isSnowflake(record.messageId) ? snowflakeToTimestamp(record.messageId) : (record.timestamp || 0);
+}
+
+// Orders two submissions by the time their messages were posted, using the message snowflake
+// to break ties. A URL edited into an older message still counts from when it was posted.
+function compareSubmissions(a, b) {
+    const difference = postedAt(a) - postedAt(b);
+    if (difference !== 0) {
+        return difference;
+    }
+    if (isSnowflake(a.messageId) && isSnowflake(b.messageId)) {
+        return compareSnowflakes(a.messageId, b.messageId);
+    }
+    return 0;
+}
+
+// Build a record for a URL found in a Discord message
+function createUrlRecord(message, url) {
+    const isThread = message.channel.isThread();
+    return {
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        url: url.trim(),
+        userId: message.author.id,
+        author: message.author.tag,
+        messageId: message.id,
+        messageUrl: buildMessageUrl(message.guild.id, message.channel.id, message.id),
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        threadId: isThread ? message.channel.id : null,
+        threadName: isThread ? message.channel.name : null,
+        forumChannelId: isThread ? message.channel.parent?.id || null : null,
+        timestamp: message.editedTimestamp || message.createdTimestamp,
+        status: 'active',
+        supersededAt: null,
+        deletedAt: null,
+        deletedBy: null,
+        verdict: null,
+        duplicateOf: null,
+        overriddenBy: null,
+        overriddenAt: null
+    };
+}
+
+// Returns a list of problems; an empty list means the record is valid
+function validateUrlRecord(record) {
+    const problems = [];
+
+    if (!record || typeof record !== 'object') {
+        return ['record is not an object'];
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (record[field] === undefined || record[field] === null || record[field] === '') {
+            problems.push(`missing ${field}`);
+        }
+    }
+
+    if (record.schemaVersion !== RECORD_SCHEMA_VERSION) {
+        problems.push(`unsupported schemaVersion ${record.schemaVersion}`);
+    }
+    for (const field of ['userId', 'messageId', 'channelId']) {
+        if (record[field] && !isSnowflake(record[field])) {
+            problems.push(`${field} is not a Discord ID`);
+        }
+    }
+    if (record.timestamp !== undefined && !Number.isFinite(record.timestamp)) {
+        problems.push('timestamp is not a number');
+    }
+    if (record.status && !RECORD_STATUSES.includes(record.status)) {
+        problems.push(`unknown status ${record.status}`);
+    }
+    if (record.verdict && !RECORD_VERDICTS.includes(record.verdict)) {
+        problems.push(`unknown verdict ${record.verdict}`);
+    }
+    if (['deleted', 'reposted'].includes(record.status) && !DELETED_BY.includes(record.deletedBy)) {
+        problems.push(`unknown deletedBy ${record.deletedBy}`);
+    }
+
+    return problems;
+}
+
+// Upgrade a record of any older shape to the current schema, filling in whatever can be
+// derived from the other fields. bucketChannelId is the channel the record is stored under,
+// used as a last resort for channelId. Returns { record, changed, problems }.
+function migrateUrlRecord(original, bucketChannelId = null) {
+    const record = { ...original };
+
+    // Live submissions used to store the poster as authorId
+    if (!record.userId && record.authorId) {
+        record.userId = record.authorId;
+    }
+    delete record.authorId;
+
+    const linkMatch = typeof record.messageUrl === 'string' ? record.messageUrl.match(MESSAGE_URL_PATTERN) : null;
+    if (linkMatch) {
+        const [, guildId, channelId, messageId] = linkMatch;
+        record.guildId = record.guildId || guildId;
+        record.channelId = record.channelId || channelId;
+        record.messageId = record.messageId || messageId;
+    }
+
+    if (!record.channelId) {
+        record.channelId = record.threadId || bucketChannelId || null;
+    }
+    if (record.threadId === undefined) {
+        record.threadId = record.forumChannelId ? record.channelId : null;
+    }
+    if (record.threadName === undefined) {
+        record.threadName = null;
+    }
+    if (record.forumChannelId === undefined) {
+        record.forumChannelId = null;
+    }
+
+    if (!record.messageUrl && record.guildId && record.channelId && record.messageId) {
+        record.messageUrl = buildMessageUrl(record.guildId, record.channelId, record.messageId);
+    }
+
+    if (!Number.isFinite(record.timestamp) && isSnowflake(record.messageId)) {
+        record.timestamp = snowflakeToTimestamp(record.messageId);
+    }
+
+    if (typeof record.url === 'string') {
+        record.url = record.url.trim();
+    }
+
+    // Version 1 -> 2: every record without a status is an active submission
+    if (!record.status) {
+        record.status = 'active';
+    }
+    if (record.supersededAt === undefined) {
+        record.supersededAt = null;
+    }
+
+    // Version 2 -> 3: nothing was tracked as deleted yet
+    if (record.deletedAt === undefined) {
+        record.deletedAt = null;
+    }
+    if (record.deletedBy === undefined) {
+        record.deletedBy = null;
+    }
+
+    // Version 3 -> 4: verdicts weren't recorded
+    if (record.verdict === undefined) {
+        record.verdict = null;
+    }
+    if (record.duplicateOf === undefined) {
+        record.duplicateOf = null;
+    }
+
+    // Version 4 -> 5: nothing was overridden yet
+    if (record.overriddenBy === undefined) {
+        record.overriddenBy = null;
+    }
+    if (record.overriddenAt === undefined) {
+        record.overriddenAt = null;
+    }
+
+    record.schemaVersion = RECORD_SCHEMA_VERSION;
+
+    const changed = Object.keys({ ...original, ...record })
+        .some(key => original[key] !== record[key]);
+
+    return { record, changed, problems: validateUrlRecord(record) };
+}
+
+module.exports = {
+    RECORD_SCHEMA_VERSION,
+    RECORD_STATUSES,
+    RELEASED_STATUSES,
+    DELETED_BY,
+    RECORD_VERDICTS,
+    ACCEPTED_VERDICTS,
+    DUPLICATE_VERDICTS,
+    holdsClaim,
+    compareSubmissions,
+    createUrlRecord,
+    validateUrlRecord,
+    migrateUrlRecord
+};
\ No newline at end of file
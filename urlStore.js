@@ -1,240 +1,482 @@
-const fs = require('fs/promises');
-const path = require('path');
-const { logWithTimestamp } = require('./utils');
-
-class UrlStorage {
-    constructor() {
-        this.urls = new Map();
-        this.storageFile = '';
-        this.isInitialized = false;
-    }
-
-    async init() {
-        try {
-            const mainChannelId = process.env.MAIN_CHANNEL_ID;
-            if (!mainChannelId) {
-                throw new Error('MAIN_CHANNEL_ID environment variable is not set');
-            }
-
-            this.storageFile = path.join(__dirname, `URL_DB_${mainChannelId}.json`);
-            
-            const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
-            const urlData = JSON.parse(data);
-            
-            for (const [channelId, urls] of Object.entries(urlData)) {
-                this.urls.set(channelId, urls);
-            }
-            
-            this.isInitialized = true;
-            logWithTimestamp('URL storage initialized', 'STARTUP');
-        } catch (error) {
-            logWithTimestamp(`Error initializing URL storage: ${error.message}`, 'ERROR');
-            this.urls = new Map();
-            this.isInitialized = false;
-            throw error;
-        }
-    }
-
-    // Helper method to check for duplicates across all channels
-    isDuplicateUrl(url) {
-        for (const urls of this.urls.values()) {
-            if (urls.some(entry => entry.url.trim() === url.trim())) {
-                return true;
-            }
-        }
-        return false;
-    }
-
-    async findUrlHistory(url) {
-    if (!this.isInitialized) {
-        logWithTimestamp('URL storage not initialized', 'ERROR');
-        return null;
-    }
-
-    const trimmedUrl = url.trim();
-    for (const [channelId, urls] of this.urls.entries()) {
-        const foundUrl = urls.find(entry => entry.url.trim() === trimmedUrl);
-        if (foundUrl) {
-            logWithTimestamp(`URL history found for: ${url} in channel ${channelId}`, 'INFO');
-            return {
-                ...foundUrl,
-                channelId
-            };
-        }
-    }
-
-    logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
-    return null;
-}
-
-async saveUrls(channelId, newUrls) {
-    if (!this.isInitialized) {
-        logWithTimestamp('URL storage not initialized', 'ERROR');
-        return 0;
-    }
-
-    try {
-        const existingUrls = this.urls.get(channelId) || [];
-        const updatedUrls = [...existingUrls];
-        let addedCount = 0;
-
-        for (const newUrl of newUrls) {
-            // Check if URL with the same messageId already exists
-            const isDuplicate = updatedUrls.some(existing => 
-                existing.messageId === newUrl.messageId && 
-                existing.url.trim() === newUrl.url.trim()
-            );
-            
-            // Only add if not a duplicate
-            if (!isDuplicate) {
-                updatedUrls.push({
-                    ...newUrl,
-                    url: newUrl.url.trim(),
-                    messageUrl: newUrl.messageUrl,
-                    userId: newUrl.userId,
-                    messageId: newUrl.messageId
-                });
-                logWithTimestamp(`Added URL: ${newUrl.url}`, 'INFO');
-                addedCount++;
-            } else {
-                logWithTimestamp(`Skipped duplicate message URL: ${newUrl.url} (messageId: ${newUrl.messageId})`, 'INFO');
-            }
-        }
-
-        if (addedCount > 0) {
-            // Sort by ascending timestamp (oldest first)
-            updatedUrls.sort((a, b) => a.timestamp - b.timestamp);
-            this.urls.set(channelId, updatedUrls);
-            
-            const urlData = Object.fromEntries(this.urls);
-            await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-            
-            logWithTimestamp(`Saved ${addedCount} URLs for channel ${channelId}`, 'INFO');
-        }
-        
-        return addedCount;
-    } catch (error) {
-        logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
-        return 0;
-    }
-}
-
-    async addUrl(url, userId, channelId, threadId = null, messageId, author = 'Unknown') {
-        if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
-            return null;
-        }
-
-        const trimmedUrl = url.trim();
-        if (this.isDuplicateUrl(trimmedUrl)) {
-            logWithTimestamp(`Skipped duplicate URL: ${trimmedUrl}`, 'INFO');
-            return null;
-        }
-
-        const urlEntry = {
-            url: trimmedUrl,
-            userId,
-            channelId,
-            threadId,
-            messageId,
-            author,
-            timestamp: Date.now()
-        };
-
-        const addedCount = await this.saveUrls(channelId, [urlEntry]);
-        if (addedCount > 0) {
-            logWithTimestamp(`Added URL: ${trimmedUrl} by ${author}`, 'INFO');
-            return urlEntry;
-        }
-        return null;
-    }
-
-    async deleteUrl(url) {
-        if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
-            return false;
-        }
-
-        let deleted = false;
-        for (const [channelId, urls] of this.urls.entries()) {
-            const index = urls.findIndex(entry => entry.url.trim() === url.trim());
-            if (index !== -1) {
-                urls.splice(index, 1);
-                const urlData = Object.fromEntries(this.urls);
-                await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-                
-                // Reload the storage after deletion
-                await this.reload();
-                
-                deleted = true;
-                logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
-                break;
-            }
-        }
-
-        return deleted;
-    }
-
-    // Get URLs for a specific channel
-    getUrls(channelId) {
-        if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
-            return [];
-        }
-        return this.urls.get(channelId) || [];
-    }
-
-    async cleanup() {
-        // This method is now disabled
-        logWithTimestamp('URL cleanup is disabled - URLs will be kept forever', 'INFO');
-        return;
-    }
-
-    async getAllChannelIds() {
-        return Array.from(this.urls.keys());
-    }
-
-    async reload() {
-        try {
-            if (!this.storageFile) {
-                throw new Error('Storage file path not set. Initialize first.');
-            }
-            
-            const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
-            const urlData = JSON.parse(data);
-            
-            this.urls.clear();
-            for (const [channelId, urls] of Object.entries(urlData)) {
-                this.urls.set(channelId, urls);
-            }
-            
-            logWithTimestamp('URL storage reloaded', 'INFO');
-        } catch (error) {
-            logWithTimestamp(`Error reloading URL storage: ${error.message}`, 'ERROR');
-            throw error;
-        }
-    }
-
-    async getStats() {
-        const stats = {
-            totalUrls: 0,
-            channelCount: this.urls.size,
-            urlsPerChannel: {}
-        };
-
-        for (const [channelId, urls] of this.urls.entries()) {
-            stats.totalUrls += urls.length;
-            stats.urlsPerChannel[channelId] = urls.length;
-        }
-
-        return stats;
-    }
-
-    shutdown() {
-        logWithTimestamp('URL Storage shutting down...', 'SHUTDOWN');
-        this.isInitialized = false;
-        // Any cleanup code if needed
-    }
-}
-
+const fs = require('fs/promises');
+const path = require('path');
+const { logWithTimestamp, atomicWriteFile, appendFileDurable, readJsonOrBackup } = require('./utils');
+const { StorageAdapter } = require('./storageAdapter');
+const { holdsClaim, compareSubmissions } = require('./urlRecord');
+const WriteQueue = require('./writeQueue');
+const { JOURNAL_COMPACT_THRESHOLD, JOURNAL_COMPACT_INTERVAL } = require('./config');
+
+// Insert an entry into a list in post order (see compareSubmissions), keeping insertion order
+// for entries of the same message
+function insertSorted(list, entry) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (compareSubmissions(list[mid], entry) <= 0) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    list.splice(low, 0, entry);
+}
+
+function removeFromList(list, entry) {
+    const index = list.indexOf(entry);
+    if (index !== -1) {
+        list.splice(index, 1);
+    }
+}
+
+// JSON file backend: a snapshot file plus an append-only journal
+class UrlStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.urls = new Map();
+        this.storageFile = '';
+        this.journalFile = '';
+
+        // In-memory indexes, each mapping a key to a list of entries in post order
+        this.indexes = {
+            byCanonicalUrl: new Map(),
+            byUserId: new Map(),
+            byMessageId: new Map(),
+            byThreadId: new Map()
+        };
+        this.entryChannels = new WeakMap(); // entry -> channelId it is stored under
+
+        this.journalOps = 0;
+        this.compactTimer = null;
+
+        // Every journal append and snapshot rewrite goes through this queue, one at a time
+        this.writeQueue = new WriteQueue(ops => this.writeJournal(ops));
+    }
+
+    async init() {
+        try {
+            const mainChannelId = this.getMainChannelId();
+            this.storageFile = path.join(__dirname, `URL_DB_${mainChannelId}.json`);
+            this.journalFile = path.join(__dirname, `URL_DB_${mainChannelId}.journal`);
+            this.previousJournalFile = `${this.journalFile}.prev`;
+
+            await this.load();
+            this.isInitialized = true;
+            await this.migrateRecords();
+
+            // Fold a journal left over from the previous run into the snapshot
+            if (this.journalOps > 0) {
+                await this.compact();
+            }
+
+            this.compactTimer = setInterval(() => {
+                if (this.journalOps > 0) {
+                    this.compact().catch(error =>
+                        logWithTimestamp(`Error compacting URL storage: ${error.message}`, 'ERROR'));
+                }
+            }, JOURNAL_COMPACT_INTERVAL);
+
+            logWithTimestamp(`URL storage initialized with ${this.indexes.byCanonicalUrl.size} unique URLs`, 'STARTUP');
+        } catch (error) {
+            logWithTimestamp(`Error initializing URL storage: ${error.message}`, 'ERROR');
+            this.clearMemory();
+            this.isInitialized = false;
+            throw error;
+        }
+    }
+
+    clearMemory() {
+        this.urls = new Map();
+        for (const index of Object.values(this.indexes)) {
+            index.clear();
+        }
+        this.entryChannels = new WeakMap();
+        this.journalOps = 0;
+    }
+
+    // Load the snapshot, then replay the journal written since the last compaction. The backup
+    // snapshot predates the last compaction, so it also needs the journal that compaction folded in.
+    async load() {
+        this.clearMemory();
+
+        const { data: urlData, fromBackup } = await readJsonOrBackup(this.storageFile, {});
+
+        for (const [channelId, urls] of Object.entries(urlData)) {
+            for (const entry of urls) {
+                this.applyAdd(channelId, this.withCanonicalUrl(entry));
+            }
+        }
+
+        if (fromBackup) {
+            await this.replayJournal(this.previousJournalFile);
+        }
+        await this.replayJournal(this.journalFile);
+    }
+
+    async replayJournal(journalFile) {
+        const journal = await fs.readFile(journalFile, 'utf8').catch(() => '');
+        for (const line of journal.split('\n')) {
+            if (!line.trim()) continue;
+
+            // A crash mid-append can leave a torn last line; everything before it is intact
+            let op;
+            try {
+                op = JSON.parse(line);
+            } catch {
+                logWithTimestamp(`Skipping unreadable journal entry in ${path.basename(journalFile)}`, 'WARN');
+                continue;
+            }
+
+            if (op.op === 'add') {
+                this.applyAdd(op.channelId, this.withCanonicalUrl(op.entry));
+            } else if (op.op === 'delete') {
+                this.applyDelete(op.channelId, op.messageId, op.canonicalUrl);
+            }
+            this.journalOps++;
+        }
+    }
+
+    indexKeys(channelId, entry) {
+        return {
+            byCanonicalUrl: entry.canonicalUrl,
+            byUserId: entry.userId || entry.authorId,
+            byMessageId: entry.messageId,
+            byThreadId: entry.threadId || entry.channelId || channelId
+        };
+    }
+
+    findByMessage(messageId, canonicalUrl) {
+        const entries = this.indexes.byMessageId.get(messageId) || [];
+        return entries.find(entry => entry.canonicalUrl === canonicalUrl) || null;
+    }
+
+    // Like findByMessage, but also finds legacy entries without a messageId in their bucket
+    findEntry(channelId, messageId, canonicalUrl) {
+        if (messageId) {
+            return this.findByMessage(messageId, canonicalUrl);
+        }
+        return (this.urls.get(channelId) || [])
+            .find(entry => !entry.messageId && entry.canonicalUrl === canonicalUrl) || null;
+    }
+
+    // Replay-safe: adding an entry that is already stored is a no-op
+    applyAdd(channelId, entry) {
+        if (entry.messageId && this.findByMessage(entry.messageId, entry.canonicalUrl)) {
+            return false;
+        }
+
+        if (!this.urls.has(channelId)) {
+            this.urls.set(channelId, []);
+        }
+        insertSorted(this.urls.get(channelId), entry);
+        this.entryChannels.set(entry, channelId);
+
+        for (const [indexName, key] of Object.entries(this.indexKeys(channelId, entry))) {
+            if (!key) continue;
+            const index = this.indexes[indexName];
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            insertSorted(index.get(key), entry);
+        }
+        return true;
+    }
+
+    applyDelete(channelId, messageId, canonicalUrl) {
+        const entry = this.findEntry(channelId, messageId, canonicalUrl);
+        if (!entry || this.entryChannels.get(entry) !== channelId) {
+            return null;
+        }
+        return this.detachEntry(channelId, entry);
+    }
+
+    // Remove this exact entry from its bucket and the indexes
+    detachEntry(channelId, entry) {
+        removeFromList(this.urls.get(channelId), entry);
+        if (this.urls.get(channelId).length === 0) {
+            this.urls.delete(channelId);
+        }
+
+        for (const [indexName, key] of Object.entries(this.indexKeys(channelId, entry))) {
+            if (!key) continue;
+            const index = this.indexes[indexName];
+            const entries = index.get(key);
+            if (!entries) continue;
+            removeFromList(entries, entry);
+            if (entries.length === 0) {
+                index.delete(key);
+            }
+        }
+        this.entryChannels.delete(entry);
+        return entry;
+    }
+
+    // Changes are applied in memory first, then queued for the journal. If the journal write
+    // fails they are undone, newest first, and the error is thrown: memory never holds what
+    // the next start wouldn't. applied lists { channelId, added, removed } in the order applied.
+    async appendJournal(ops, applied) {
+        try {
+            await this.writeQueue.push(ops);
+        } catch (error) {
+            for (const { channelId, added, removed } of [...applied].reverse()) {
+                if (added) this.detachEntry(channelId, added);
+                if (removed) this.applyAdd(channelId, removed);
+            }
+            throw error;
+        }
+
+        // The changes are safely journaled by now; a failed compaction is retried later
+        if (this.journalOps >= JOURNAL_COMPACT_THRESHOLD) {
+            await this.compact().catch(error =>
+                logWithTimestamp(`Error compacting URL storage: ${error.message}`, 'ERROR'));
+        }
+    }
+
+    async writeJournal(ops) {
+        const lines = ops.map(op => JSON.stringify(op)).join('\n') + '\n';
+        await appendFileDurable(this.journalFile, lines);
+        this.journalOps += ops.length;
+    }
+
+    // Rewrite the snapshot from memory and start a fresh journal. Runs in the write queue, so
+    // no append can interleave; a crash between the two steps only means the journal is
+    // replayed onto a snapshot that already contains it, which is harmless. The folded-in
+    // journal is kept as .prev next to the .bak snapshot it applies to, in case the new
+    // snapshot turns out to be unreadable.
+    async compact() {
+        return this.writeQueue.run(async () => {
+            if (this.journalOps === 0) return;
+
+            const opsAtStart = this.journalOps;
+            const urlData = Object.fromEntries(this.urls);
+            await atomicWriteFile(this.storageFile, JSON.stringify(urlData), { backup: true });
+            await fs.rename(this.journalFile, this.previousJournalFile).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            this.journalOps = 0;
+            logWithTimestamp(`Compacted URL storage (${opsAtStart} journal entries folded into snapshot)`, 'INFO');
+        });
+    }
+
+    // Helper method to check for duplicates across all channels
+    isDuplicateUrl(url) {
+        return !!this.findClaimingEntry(this.canonicalize(url));
+    }
+
+    findClaimingEntry(canonicalUrl) {
+        const entries = this.indexes.byCanonicalUrl.get(canonicalUrl) || [];
+        return entries.find(holdsClaim) || null;
+    }
+
+    async findUrlHistory(url) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return null;
+        }
+
+        const foundUrl = this.findClaimingEntry(this.canonicalize(url));
+        if (foundUrl) {
+            logWithTimestamp(`URL history found for: ${url} in channel ${foundUrl.channelId}`, 'INFO');
+            return { ...foundUrl };
+        }
+
+        logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
+        return null;
+    }
+
+    async saveUrls(channelId, newUrls) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return 0;
+        }
+
+        const ops = [];
+        const applied = [];
+
+        for (const newUrl of newUrls) {
+            const { record: entry, problems } = this.prepareEntry(channelId, newUrl);
+            if (problems.length > 0) {
+                logWithTimestamp(`Rejected invalid URL record ${newUrl.url}: ${problems.join(', ')}`, 'ERROR');
+                continue;
+            }
+
+            // Only add if the same URL from the same message isn't stored yet
+            if (this.applyAdd(channelId, entry)) {
+                ops.push({ op: 'add', channelId, entry });
+                applied.push({ channelId, added: entry });
+                logWithTimestamp(`Added URL: ${newUrl.url}`, 'INFO');
+            } else {
+                logWithTimestamp(`Skipped duplicate message URL: ${newUrl.url} (messageId: ${newUrl.messageId})`, 'INFO');
+            }
+        }
+
+        if (ops.length > 0) {
+            try {
+                await this.appendJournal(ops, applied);
+            } catch (error) {
+                logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
+                throw error;
+            }
+            logWithTimestamp(`Saved ${ops.length} URLs for channel ${channelId}`, 'INFO');
+        }
+
+        return ops.length;
+    }
+
+    async deleteUrl(url) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return false;
+        }
+
+        // Deletes the same entry findUrlHistory would return
+        const entry = this.findClaimingEntry(this.canonicalize(url));
+        if (!entry) {
+            return false;
+        }
+
+        const channelId = this.entryChannels.get(entry);
+        this.detachEntry(channelId, entry);
+        await this.appendJournal([{
+            op: 'delete',
+            channelId,
+            messageId: entry.messageId,
+            canonicalUrl: entry.canonicalUrl
+        }], [{ channelId, removed: entry }]);
+
+        logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
+        return true;
+    }
+
+    // Get URLs for a specific channel
+    getUrls(channelId) {
+        if (!this.isInitialized) {
+            logWithTimestamp('URL storage not initialized', 'ERROR');
+            return [];
+        }
+        return this.urls.get(channelId) || [];
+    }
+
+    // Indexed lookups, each returning entries oldest first
+    getUrlsByUser(userId) {
+        return [...(this.indexes.byUserId.get(userId) || [])];
+    }
+
+    getUrlsByMessage(messageId) {
+        return [...(this.indexes.byMessageId.get(messageId) || [])];
+    }
+
+    getUrlsByThread(threadId) {
+        return [...(this.indexes.byThreadId.get(threadId) || [])];
+    }
+
+    getUrlsByCanonicalUrl(canonicalUrl) {
+        return [...(this.indexes.byCanonicalUrl.get(canonicalUrl) || [])];
+    }
+
+    async replaceEntries(updates) {
+        const ops = [];
+        const applied = [];
+        for (const { channelId, messageId, canonicalUrl, record } of updates) {
+            if (!this.isValidChange(record)) continue;
+            const entry = this.applyDelete(channelId, messageId, canonicalUrl);
+            if (!entry) continue;
+            this.applyAdd(channelId, record);
+            ops.push(
+                { op: 'delete', channelId, messageId, canonicalUrl },
+                { op: 'add', channelId, entry: record }
+            );
+            applied.push({ channelId, added: record, removed: entry });
+        }
+
+        if (ops.length > 0) {
+            await this.appendJournal(ops, applied);
+        }
+    }
+
+    async updateEntries(updates) {
+        const ops = [];
+        const applied = [];
+        for (const { messageId, canonicalUrl, changes } of updates) {
+            const entry = this.findByMessage(messageId, canonicalUrl);
+            if (!entry) continue;
+
+            const channelId = this.entryChannels.get(entry);
+            const record = { ...entry, ...changes };
+            if (!this.isValidChange(record)) continue;
+            this.detachEntry(channelId, entry);
+            this.applyAdd(channelId, record);
+            ops.push(
+                { op: 'delete', channelId, messageId, canonicalUrl },
+                { op: 'add', channelId, entry: record }
+            );
+            applied.push({ channelId, added: record, removed: entry });
+        }
+
+        if (ops.length > 0) {
+            await this.appendJournal(ops, applied);
+        }
+        return ops.length / 2;
+    }
+
+    async removeEntry(messageId, canonicalUrl) {
+        const entry = this.findByMessage(messageId, canonicalUrl);
+        if (!entry) {
+            return false;
+        }
+
+        const channelId = this.entryChannels.get(entry);
+        this.detachEntry(channelId, entry);
+        await this.appendJournal([{ op: 'delete', channelId, messageId, canonicalUrl }], [{ channelId, removed: entry }]);
+        return true;
+    }
+
+    async getAllChannelIds() {
+        return Array.from(this.urls.keys());
+    }
+
+    async reload() {
+        try {
+            if (!this.storageFile) {
+                throw new Error('Storage file path not set. Initialize first.');
+            }
+
+            await this.load();
+
+            logWithTimestamp('URL storage reloaded', 'INFO');
+        } catch (error) {
+            logWithTimestamp(`Error reloading URL storage: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    async getStats() {
+        const stats = {
+            totalUrls: 0,
+            uniqueUrls: this.indexes.byCanonicalUrl.size,
+            deletedUrls: 0,
+            channelCount: this.urls.size,
+            urlsPerChannel: {}
+        };
+
+        for (const [channelId, urls] of this.urls.entries()) {
+            stats.totalUrls += urls.length;
+            stats.deletedUrls += urls.filter(entry => entry.status === 'deleted').length;
+            stats.urlsPerChannel[channelId] = urls.length;
+        }
+
+        return stats;
+    }
+
+    async shutdown() {
+        super.shutdown();
+        if (this.compactTimer) {
+            clearInterval(this.compactTimer);
+            this.compactTimer = null;
+        }
+        // Let queued journal writes finish; the journal is replayed on the next start
+        await this.writeQueue.drain();
+    }
+}
+
 module.exports = UrlStorage;
\ No newline at end of file
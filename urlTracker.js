@@ -1,420 +1,919 @@
-const { EmbedBuilder, ChannelType } = require('discord.js');
-const UrlStorage = require('./urlStore');
-const { logWithTimestamp } = require('./utils');
-const { DB_TIMEOUT, THRESHOLD_DUPE_AGE } = require('./config');
-
-class UrlTracker {
-    constructor(client, urlStore) {
-        this.client = client;
-        this.urlStore = urlStore; // Use the provided instance instead of creating a new one
-        this.urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
-    }
-
-    async syncWithStorage(channelId) {
-        try {
-            // Skip fetching URLs during initialization
-            // Only sync when explicitly requested after startup
-            if (this.initializing) {
-                logWithTimestamp(`Skipping URL sync for channel ${channelId} during initialization`, 'INFO');
-                return;
-            }
-            
-            const urls = await this.fetchAllUrlsFromChannel(channelId);
-            if (urls.length > 0) {
-                await this.urlStore.saveUrls(channelId, urls);
-                logWithTimestamp(`Synced ${urls.length} URLs for channel ${channelId}`, 'INFO');
-            }
-        } catch (error) {
-            logWithTimestamp(`Error syncing channel ${channelId}: ${error.message}`, 'ERROR');
-        }
-    }
-
-    async init() {
-        try {
-            // Add a flag to track initialization state
-            this.initializing = true;
-            
-            // Get channel IDs but don't sync during initialization
-            const channelIds = await this.urlStore.getAllChannelIds();
-            logWithTimestamp(`Found ${channelIds.length} channels in storage. Skipping sync during initialization.`, 'INFO');
-            
-            // Turn off initialization flag when complete
-            this.initializing = false;
-            
-            logWithTimestamp('URL Tracker initialized successfully', 'INFO');
-        } catch (error) {
-            this.initializing = false;
-            logWithTimestamp(`Failed to initialize URL Tracker: ${error.message}`, 'ERROR');
-            throw error;
-        }
-    }
-
-    async sendLogToChannel(title, fields) {
-    try {
-        // Check if logging is enabled via environment variable
-        const logChannelId = process.env.LOG_CHANNEL_ID;
-        if (!logChannelId) {
-            return false; // Logging disabled, no channel ID specified
-        }
-
-        // Get the logging channel
-        const logChannel = await this.client.channels.fetch(logChannelId).catch(() => null);
-        if (!logChannel) {
-            logWithTimestamp(`Failed to fetch log channel (${logChannelId}), ensure it exists and bot has access`, 'ERROR');
-            return false;
-        }
-
-        // Create and send the embed - NO PROCESSING
-        const embed = new EmbedBuilder()
-            .setColor('#ff9900')
-            .setTitle(title)
-            .addFields(...fields)
-            .setTimestamp()
-            .setFooter({
-                text: 'Botanix Labs URL Tracker',
-                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-            });
-
-        await logChannel.send({ embeds: [embed] });
-        return true;
-    } catch (error) {
-        logWithTimestamp(`Error sending log to channel: ${error.message}`, 'ERROR');
-        return false;
-    }
-}
-
-    async handleUrlMessage(message, urls) {
-        try {
-            // Scenario 0: Check if any of the URLs contain BOTANIX_TWITTER value
-            if (process.env.BOTANIX_TWITTER && process.env.BOTANIX_TWITTER.trim() !== '') {
-                const botanixTwitterValue = process.env.BOTANIX_TWITTER.trim().toLowerCase();
-                const containsBotanixTwitter = urls.some(url => 
-                    url.toLowerCase().includes(botanixTwitterValue));
-                
-                if (containsBotanixTwitter) {
-                    logWithTimestamp(`Found Botanix Twitter URL: ${urls.join(', ')}`, 'INFO');
-                    const embed = new EmbedBuilder()
-                        .setColor('#ff0000')
-                        .setDescription(`<@${message.author.id}>, simply resharing Botanix tweets doesn't add much value\nPlease contribute with your own original content`)
-                        .setFooter({
-                            text: 'Botanix Labs',
-                            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                        });
-
-                    // Send as a reply instead of a standalone message
-                    const replyMessage = await message.reply({ embeds: [embed] });
-
-                    // Delete the user's message
-                    if (message.deletable) {
-                        await message.delete();
-                    }
-                    
-                    // Send log to designated channel
-                    await this.sendLogToChannel(
-                        'Botanix Twitter URL Posted and Removed',
-                        [
-                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                            { name: 'URL', value: urls.find(url => url.toLowerCase().includes(botanixTwitterValue)) || 'Unknown' }
-                        ]
-                    );
-                    
-                    return [];
-                }
-            }
-            
-            const urlsToStore = []; // Add this array to collect new URLs
-            
-            for (const url of urls) {
-                logWithTimestamp(`Checking URL: ${url}`, 'INFO');
-                const existingUrl = await this.urlStore.findUrlHistory(url);
-                
-                if (existingUrl) {
-                    logWithTimestamp(`Found existing URL: ${url} from author: ${existingUrl.author}`, 'INFO'); 
-                    
-                    // Check if the original poster is the same as current author
-                    if (existingUrl.author !== message.author.tag) {
-                        // Different author - not allowed (Scenario 1)
-                        const embed = new EmbedBuilder()
-                            .setColor('#ff0000')
-                            .setTitle('Please share only your own original content!')
-                            .setDescription(`${message.author}, this URL was previously shared by another user`)
-                            .addFields(
-                                {name: 'Original message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                { name: 'URL:', value: url }
-                            )
-                            .setFooter({
-                                text: 'Botanix Labs',
-                                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                            });
-
-                        await message.reply({ embeds: [embed] });
-                        await message.react('🚫'); // Add no_entry_sign reaction
-                        
-                        // Send log to designated channel
-                        await this.sendLogToChannel(
-                            'Different User Posted Same URL',
-                            [
-                                { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`, inline: true},
-                                { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}`, inline: false},
-                                { name: 'Original Poster', value: existingUrl.userId ? `<@${existingUrl.userId}> (${existingUrl.userId})` : existingUrl.author || 'Unknown' },
-                                { name: 'URL', value: url },
-								{ name: 'Warning', value: 'Sent to user', inline: false }
-                            ]
-                        );
-                        
-                        logWithTimestamp(`Sent duplicate URL notification for: ${url}`, 'INFO');
-                    } else {
-                        // Same author - check if same thread
-                        if (existingUrl.channelId !== message.channel.id) {
-                            // Different thread
-                            const embed = new EmbedBuilder()
-                                .setColor('#ff0000')
-                                .setTitle(`You have posted this before`)
-                                .setDescription(`${message.author}, you shared this URL in a different thread`)
-                                .addFields(
-                                    { name: 'Original message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                    { name: 'URL:', value: url }
-                                )
-                                .setFooter({
-                                    text: 'Botanix Labs',
-                                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                });
-
-                            await message.reply({ embeds: [embed] });
-                            await message.react('🚫'); 
-                            
-                            // Send log to designated channel
-                            await this.sendLogToChannel(
-                                'Same User Posted URL in Different Thread',
-                                [                                   
-                                    { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                    { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                    { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                    { name: 'URL', value: url },
-									{ name: 'Warning', value: 'Sent to user' }
-                                ]
-                            );
-                            
-                            logWithTimestamp(`Sent same-author different-thread notification for: ${url}`, 'INFO');
-                        } else {
-                            // Same thread - check if original message exists
-                            const originalMessage = await message.channel.messages
-                                .fetch(existingUrl.messageId)
-                                .catch(() => null);
-
-                            if (originalMessage) {
-                                // Original message still exists
-                                const embed = new EmbedBuilder()
-                                    .setColor('#ff0000')
-                                    .setTitle(`You have posted this before`)
-                                    .setDescription(`${message.author}, you already shared this URL in this thread`)
-                                    .addFields(
-                                        { name: 'Original Message:', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                        { name: 'URL', value: url }
-                                    )
-                                    .setFooter({
-                                        text: 'Botanix Labs',
-                                        iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                    });
-
-                                await message.reply({ embeds: [embed] });
-                                await message.react('⭕');
-                                
-                                // Send log to designated channel
-                                await this.sendLogToChannel(
-                                    'Same User Reposted URL in Same Thread',
-                                    [
-                                        
-                                        { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                        { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                        { name: 'Original Message', value: `https://discord.com/channels/${message.guild.id}/${existingUrl.threadId}/${existingUrl.messageId}` },
-                                        { name: 'URL', value: url },
-										{ name: 'Warning', value: 'Sent to user' }
-                                    ]
-                                );
-                                
-                                logWithTimestamp(`Sent same-thread notification for: ${url}`, 'INFO');
-                            } else {
-                                // Original message is gone - check age threshold
-                                const currentTime = Date.now();
-                                const originalTime = existingUrl.timestamp;
-                                const ageInMinutes = (currentTime - originalTime) / (60 * 1000);
-                                
-                                if (ageInMinutes < THRESHOLD_DUPE_AGE) {
-                                    // Less than threshold - treat as new URL
-                                    await this.urlStore.deleteUrl(url);
-                                    logWithTimestamp(`Deleted old URL entry as original message no longer exists and age (${ageInMinutes.toFixed(2)} min) is less than threshold: ${url}`, 'INFO');
-                                    urlsToStore.push({
-                                        url,
-                                        timestamp: message.createdTimestamp,
-                                        author: message.author.tag,
-                                        authorId: message.author.id,
-                                        threadName: message.channel.name,
-                                        threadId: message.channel.id,                      // Explicit thread ID
-                                        forumChannelId: message.channel.parent?.id,        // Parent forum channel ID
-                                        messageId: message.id,
-                                        messageUrl: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`,
-                                        guildId: message.guild.id
-                                    });
-                                    
-                                    // Send log to designated channel
-                                    await this.sendLogToChannel(
-                                        'URL Reposted After Original Was Deleted (Within Threshold)',
-                                        [
-                                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                            { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                            { name: 'Original Message', value: `deleted (age: ${ageInMinutes.toFixed(1)} minutes)` },
-                                            { name: 'URL', value: url },
-											{ name: 'Warning', value: 'Not sent - URL treated as new' }
-                                        ]
-                                    );
-                                } else {
-                                    // More than threshold - send warning as duplicate
-                                    const embed = new EmbedBuilder()
-                                        .setColor('#ff0000')
-                                        .setTitle(`You have posted this before`)
-                                        .setDescription(`${message.author}, you already shared this URL in this thread`)
-                                        .addFields(
-                                            { name: 'Original Message:', value: `deleted` },
-                                        )
-                                        .setFooter({
-                                            text: 'Botanix Labs',
-                                            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                        });
-
-                                    await message.reply({ embeds: [embed] });
-                                    await message.react('⭕');
-                                    
-                                    // Send log to designated channel  
-                                    await this.sendLogToChannel(
-                                        'URL Reposted After Original Was Deleted (Beyond Threshold)',
-                                        [
-                                            
-                                            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
-                                            { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
-                                            { name: 'Original Message', value: `deleted (age: ${ageInMinutes.toFixed(1)} minutes)` },
-                                { name: 'URL', value: url },
-								{ name: 'Warning', value: 'Sent to user' }
-                                        ]
-                                    );
-                                    
-                                    logWithTimestamp(`Sent same-thread notification for deleted message with age (${ageInMinutes.toFixed(2)} min) exceeding threshold: ${url}`, 'INFO');
-                                }
-                            }
-                        }
-                    }
-                } else {
-                    // New URL - add it to store
-                    urlsToStore.push({
-                        url,
-                        timestamp: message.createdTimestamp,
-                        author: message.author.tag,
-                        authorId: message.author.id,
-                        threadName: message.channel.name,
-                        threadId: message.channel.id,
-                        forumChannelId: message.channel.parent?.id || null,
-                        messageId: message.id,
-                        messageUrl: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`,
-                        guildId: message.guild.id
-                    });
-                }
-            }
-            
-            // Store new URLs if any
-            if (urlsToStore.length > 0) {
-                try {
-                    await this.urlStore.saveUrls(message.channel.id, urlsToStore);
-                } catch (error) {
-                    logWithTimestamp(`Failed to store URLs: ${error.message}`, 'ERROR');
-                }
-            }
-            
-            return urlsToStore; // Return the stored URLs for reference
-        } catch (error) {
-            logWithTimestamp(`Error handling URL message: ${error.message}`, 'ERROR');
-            return [];
-        }
-    }
-
-    async fetchAllUrlsFromChannel(channelId) {
-        try {
-            const channel = await this.client.channels.fetch(channelId).catch(() => null);
-            if (!channel) {
-                logWithTimestamp(`Channel not found: ${channelId}`, 'ERROR');
-                return [];
-            }
-            
-            const urls = [];
-            
-            // Check if it's a forum channel
-            if (channel.type === ChannelType.GuildForum) {
-                const threads = await channel.threads.fetch();
-                
-                for (const [threadId, thread] of threads.threads) {
-                    const messages = await thread.messages.fetch({ limit: 100 });
-                    
-                    messages.forEach(msg => {
-                        if (msg.author.bot) return;
-                        
-                        const foundUrls = msg.content.match(this.urlRegex);
-                        if (foundUrls) {
-                            const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                            foundUrls.forEach(url => {
-                                urls.push({
-                                    url,
-                                    timestamp: msg.createdTimestamp,
-                                    userId: msg.author.id,
-                                    author: msg.author.tag,
-                                    threadId: msg.channel.id,
-                                    forumChannelId: channel.id,
-                                    messageId: msg.id,
-                                    messageUrl: messageUrl,
-                                    guildId: msg.guild.id
-                                });
-                            });
-                        }
-                    });
-                }
-            } else {
-                // Regular channel
-                const messages = await channel.messages.fetch({ limit: 100 });
-                
-                messages.forEach(msg => {
-                    if (msg.author.bot) return;
-                    
-                    const foundUrls = msg.content.match(this.urlRegex);
-                    if (foundUrls) {
-                        const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                        foundUrls.forEach(url => {
-                            urls.push({
-                                url,
-                                timestamp: msg.createdTimestamp,
-                                userId: msg.author.id,
-                                author: msg.author.tag,
-                                channelId: channel.id,
-                                threadId: channel.isThread() ? channel.id : null,
-                                forumChannelId: channel.isThread() ? channel.parent?.id : null,
-                                messageId: msg.id,
-                                messageUrl: messageUrl,
-                                guildId: msg.guild.id
-                            });
-                        });
-                    }
-                });
-            }
-            
-            return urls;
-        } catch (error) {
-            logWithTimestamp(`Error fetching URLs from channel ${channelId}: ${error.message}`, 'ERROR');
-            return [];
-        }
-    }
-
-    shutdown() {
-        logWithTimestamp('URL Tracker shutting down...', 'SHUTDOWN');
-        // No cleanup needed since we're using the shared UrlStorage instance
-    }
-}
-
+const { EmbedBuilder, ChannelType, AuditLogEvent } = require('discord.js');
+const UrlStorage = require('./urlStore');
+const { logWithTimestamp } = require('./utils');
+const { createUrlRecord, migrateUrlRecord, holdsClaim, RECORD_VERDICTS, ACCEPTED_VERDICTS, DUPLICATE_VERDICTS } = require('./urlRecord');
+const { LinkPolicy } = require('./linkPolicy');
+const { TierSettings, formatQuota } = require('./tierSettings');
+const HandleRegistry = require('./handleRegistry');
+const ModerationActions = require('./moderationActions');
+const { buildRemovalEmbed } = require('./notices');
+const { reportComponents } = require('./reviewQueue');
+const { DB_TIMEOUT, THRESHOLD_DUPE_AGE } = require('./config');
+
+// Discord writes the audit log entry for a deletion shortly after the delete event arrives
+const AUDIT_LOG_DELAY = 1500;
+const AUDIT_LOG_WINDOW = 10000;
+
+// How a moderator override treats the earlier submissions of the URL (see overrideSubmission)
+const OVERRIDE_MODES = ['share', 'transfer'];
+
+// Discord embed limits
+const MAX_EMBED_FIELDS = 25;
+const MAX_FIELD_LENGTH = 1024;
+
+// How each verdict is shown in the summary reply and the log channel. The reply takes its
+// wording and reaction from the most severe verdict in the message.
+const VERDICT_DISPLAY = {
+    new: {
+        label: '🆕 New'
+    },
+    reposted_after_delete: {
+        label: '🆕 New (original was deleted)',
+        logTitle: 'URL Reposted After Original Was Deleted (Within Threshold)'
+    },
+    overridden: {
+        label: '✅ Accepted by a moderator',
+        logTitle: 'URL Reposted After Moderator Override'
+    },
+    own_same_thread: {
+        label: '⭕ Your repost',
+        title: 'You have posted this before',
+        description: 'you already shared this URL in this thread',
+        reaction: '⭕',
+        logTitle: 'Same User Reposted URL in Same Thread'
+    },
+    own_deleted: {
+        label: '⭕ Your repost (original deleted)',
+        title: 'You have posted this before',
+        description: 'you already shared this URL before',
+        reaction: '⭕',
+        logTitle: 'URL Reposted After Original Was Deleted (Beyond Threshold)'
+    },
+    own_other_thread: {
+        label: '🚫 Your repost from another thread',
+        title: 'You have posted this before',
+        description: 'you shared this URL in a different thread',
+        reaction: '🚫',
+        logTitle: 'Same User Posted URL in Different Thread'
+    },
+    not_owner: {
+        label: '🚫 Not your account',
+        title: 'Please share only your own original content!',
+        description: "this content comes from an account that isn't linked to you. Use `!link <platform> <handle>` to link your own accounts",
+        reaction: '🚫',
+        logTitle: 'URL From Account Not Linked to Poster'
+    },
+    other_user: {
+        label: "🚫 Someone else's",
+        title: 'Please share only your own original content!',
+        description: 'this URL was previously shared by another user',
+        reaction: '🚫',
+        logTitle: 'Different User Posted Same URL'
+    },
+    off_platform: {
+        label: '🚫 Platform not accepted here',
+        title: 'Not accepted in this thread',
+        description: "links from this platform don't count as submissions in this thread",
+        reaction: '🚫',
+        logTitle: 'URL From Platform Not Accepted in Thread'
+    },
+    // Over quota messages are removed with their own notice, like off platform ones
+    over_quota: {
+        label: '⏳ Over quota',
+        logTitle: 'Submission Over Quota'
+    },
+    // The link policy rule's message is used as the description for these
+    warned: {
+        label: '⚠️ Not allowed',
+        logTitle: 'URL Refused by Link Policy'
+    },
+    blocked: {
+        label: '⛔ Blocked',
+        logTitle: 'URL Posted and Removed by Link Policy'
+    }
+};
+
+const POLICY_MATCH_LOG_TITLE = 'URL Matched Link Policy';
+const OWNERSHIP_FLAG_LOG_TITLE = 'URL From Account Not Linked to Poster (Accepted)';
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+// Keep a list of embed fields within the limit, summarizing whatever doesn't fit
+function limitFields(fields, maxFields) {
+    if (fields.length <= maxFields) return fields;
+    const shown = fields.slice(0, maxFields - 1);
+    return [...shown, { name: '...', value: `and ${fields.length - shown.length} more URLs` }];
+}
+
+class UrlTracker {
+    constructor(client, urlStore, linkPolicy = new LinkPolicy(), tierSettings = new TierSettings(), handleRegistry = new HandleRegistry(), moderationActions = new ModerationActions(client)) {
+        this.client = client;
+        this.urlStore = urlStore; // Use the provided instance instead of creating a new one
+        this.linkPolicy = linkPolicy;
+        this.tierSettings = tierSettings;
+        this.handleRegistry = handleRegistry;
+        this.moderationActions = moderationActions; // Replies, removals and reactions; simulated in a dry run
+        this.auditLogCounts = new Map(); // MessageDelete audit log entry ID -> deletions already attributed to it
+        this.urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
+    }
+
+    async syncWithStorage(channelId) {
+        try {
+            // Skip fetching URLs during initialization
+            // Only sync when explicitly requested after startup
+            if (this.initializing) {
+                logWithTimestamp(`Skipping URL sync for channel ${channelId} during initialization`, 'INFO');
+                return;
+            }
+            
+            const urls = await this.fetchAllUrlsFromChannel(channelId);
+            if (urls.length > 0) {
+                await this.urlStore.saveUrls(channelId, urls);
+                logWithTimestamp(`Synced ${urls.length} URLs for channel ${channelId}`, 'INFO');
+            }
+        } catch (error) {
+            logWithTimestamp(`Error syncing channel ${channelId}: ${error.message}`, 'ERROR');
+        }
+    }
+
+    async init() {
+        try {
+            // Add a flag to track initialization state
+            this.initializing = true;
+            
+            // Get channel IDs but don't sync during initialization
+            const channelIds = await this.urlStore.getAllChannelIds();
+            logWithTimestamp(`Found ${channelIds.length} channels in storage. Skipping sync during initialization.`, 'INFO');
+            
+            // Turn off initialization flag when complete
+            this.initializing = false;
+            
+            logWithTimestamp('URL Tracker initialized successfully', 'INFO');
+        } catch (error) {
+            this.initializing = false;
+            logWithTimestamp(`Failed to initialize URL Tracker: ${error.message}`, 'ERROR');
+            throw error;
+        }
+    }
+
+    // Authors are identified by user ID; tags change and are only kept for display.
+    // Legacy records that were never backfilled with an ID fall back to the tag.
+    isSameAuthor(record, user) {
+        if (record.userId) {
+            return record.userId === user.id;
+        }
+        return !!record.author && record.author === user.tag;
+    }
+
+    // Resolve user IDs for legacy records that only stored the poster's tag. Tags are matched
+    // against current guild members, first exactly and then by username (tags lost their
+    // discriminator when Discord moved to unique usernames). Ambiguous or unknown tags are reported.
+    async backfillUserIds(guild) {
+        try {
+            const records = await this.urlStore.findRecordsMissingUserId();
+            if (records.length === 0) {
+                return { resolved: 0, unresolved: [] };
+            }
+
+            logWithTimestamp(`Resolving user IDs for ${records.length} legacy URL records`, 'INFO');
+            const members = await guild.members.fetch();
+
+            const idsByTag = new Map();
+            const idsByUsername = new Map();
+            for (const member of members.values()) {
+                idsByTag.set(member.user.tag.toLowerCase(), member.id);
+                const username = member.user.username.toLowerCase();
+                idsByUsername.set(username, idsByUsername.has(username) ? null : member.id);
+            }
+
+            const updates = [];
+            const unresolved = new Set();
+            for (const { channelId, entry } of records) {
+                const tag = (entry.author || '').toLowerCase();
+                const userId = idsByTag.get(tag) || idsByUsername.get(tag.split('#')[0]) || null;
+
+                if (!userId) {
+                    unresolved.add(entry.author || 'Unknown');
+                    continue;
+                }
+
+                const { record, problems } = migrateUrlRecord({ ...entry, userId }, channelId);
+                if (problems.length > 0) {
+                    logWithTimestamp(`Could not backfill URL record ${entry.url}: ${problems.join(', ')}`, 'WARN');
+                    continue;
+                }
+                updates.push({ channelId, messageId: entry.messageId, canonicalUrl: entry.canonicalUrl, record });
+            }
+
+            if (updates.length > 0) {
+                await this.urlStore.replaceEntries(updates);
+            }
+
+            logWithTimestamp(`Backfilled user IDs for ${updates.length} of ${records.length} legacy URL records`, 'INFO');
+            if (unresolved.size > 0) {
+                logWithTimestamp(`Could not resolve user IDs for tags: ${[...unresolved].join(', ')}`, 'WARN');
+            }
+            return { resolved: updates.length, unresolved: [...unresolved] };
+        } catch (error) {
+            logWithTimestamp(`Error backfilling user IDs: ${error.message}`, 'ERROR');
+            return { resolved: 0, unresolved: [] };
+        }
+    }
+
+    async sendLogToChannel(title, fields) {
+    try {
+        // Check if logging is enabled via environment variable
+        const logChannelId = process.env.LOG_CHANNEL_ID;
+        if (!logChannelId) {
+            return false; // Logging disabled, no channel ID specified
+        }
+
+        // Get the logging channel
+        const logChannel = await this.client.channels.fetch(logChannelId).catch(() => null);
+        if (!logChannel) {
+            logWithTimestamp(`Failed to fetch log channel (${logChannelId}), ensure it exists and bot has access`, 'ERROR');
+            return false;
+        }
+
+        // Create and send the embed - NO PROCESSING
+        const embed = new EmbedBuilder()
+            .setColor('#ff9900')
+            .setTitle(title)
+            .addFields(...fields)
+            .setTimestamp()
+            .setFooter({
+                text: 'Botanix Labs URL Tracker',
+                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+            });
+
+        await logChannel.send({ embeds: [embed] });
+        return true;
+    } catch (error) {
+        logWithTimestamp(`Error sending log to channel: ${error.message}`, 'ERROR');
+        return false;
+    }
+}
+
+    // Checks every URL in a message first and then answers once: a single summary reply,
+    // one reaction and one log entry, however many of the URLs were reused.
+    // Returns the entries this message claimed.
+    async handleUrlMessage(message, urls) {
+        try {
+            const seen = new Set();
+            const uniqueUrls = urls.filter(url => {
+                const canonicalUrl = this.urlStore.canonicalize(url);
+                if (seen.has(canonicalUrl)) return false;
+                seen.add(canonicalUrl);
+                return true;
+            });
+
+            const verdicts = [];
+
+            // Scenario 0: the link policy. A "delete" rule gets the whole message removed,
+            // so none of its other URLs are claimed
+            const rules = new Map(uniqueUrls.map(url => [url, this.linkPolicy.evaluate(url, message.channel.id)]));
+            for (const url of uniqueUrls) {
+                const dryRunRule = this.linkPolicy.evaluateDryRun(url, message.channel.id);
+                if (dryRunRule) {
+                    await this.moderationActions.simulateRule(message, url, dryRunRule);
+                }
+            }
+            const blockedUrls = uniqueUrls.filter(url => rules.get(url)?.action === 'delete');
+            const quotaUsage = blockedUrls.length > 0 ? null : await this.checkQuota(message);
+            if (blockedUrls.length > 0) {
+                logWithTimestamp(`Found blocked URL: ${blockedUrls.join(', ')}`, 'INFO');
+                verdicts.push(...blockedUrls.map(url => ({ url, verdict: 'blocked', existing: null, entry: null, rule: rules.get(url) })));
+            } else if (quotaUsage) {
+                // Over the tier's quota nothing in the message is claimed
+                logWithTimestamp(`User ${message.author.tag} (${message.author.id}) is over the submission quota of thread ${message.channel.id}`, 'INFO');
+                verdicts.push(...uniqueUrls.map(url => ({ url, verdict: 'over_quota', existing: null, entry: null, quota: quotaUsage })));
+            } else {
+                // URLs from platforms the tier doesn't accept aren't claimed; "allow" rules override
+                const offPlatformUrls = uniqueUrls.filter(url =>
+                    rules.get(url)?.action !== 'allow' && !this.isPlatformAllowed(message.channel.id, url));
+
+                for (const url of uniqueUrls) {
+                    const rule = rules.get(url);
+                    if (offPlatformUrls.includes(url)) {
+                        verdicts.push({ url, verdict: 'off_platform', existing: null, entry: null, platform: this.getPlatform(url) });
+                        continue;
+                    }
+                    if (rule?.action === 'warn') {
+                        verdicts.push({ url, verdict: 'warned', existing: null, entry: null, rule });
+                        continue;
+                    }
+
+                    const ownership = rule?.action === 'allow' ? null : this.checkOwnership(message, url);
+                    if (ownership?.mode === 'reject') {
+                        verdicts.push({ url, verdict: 'not_owner', existing: null, entry: null, ownership });
+                        continue;
+                    }
+
+                    logWithTimestamp(`Checking URL: ${url}`, 'INFO');
+                    const verdict = await this.checkUrl(message, url);
+                    if (verdict) {
+                        // "react" and "log" rules don't change the verdict, they're only reported,
+                        // and so is an unlinked account in a tier that only flags them
+                        if (rule && rule.action !== 'allow') verdict.rule = rule;
+                        if (ownership) verdict.ownership = ownership;
+                        verdicts.push(verdict);
+                    }
+                }
+            }
+
+            await this.recordRejections(message, verdicts);
+            await this.reportVerdicts(message, verdicts);
+
+            return verdicts.filter(({ entry }) => entry).map(({ entry }) => entry);
+        } catch (error) {
+            logWithTimestamp(`Error handling URL message: ${error.message}`, 'ERROR');
+            return [];
+        }
+    }
+
+    getPlatform(url) {
+        const described = this.urlStore.canonicalizer.describe(url);
+        return described ? described.platform : 'web';
+    }
+
+    isPlatformAllowed(threadId, url) {
+        return this.tierSettings.isPlatformAllowed(threadId, this.getPlatform(url));
+    }
+
+    // Counts the poster's submissions in the thread within the tier's quota window, from the
+    // store so restarts don't reset it. One message is one submission however many URLs it has;
+    // deleted and refused ones don't count. A message that already holds a claim (URLs edited
+    // into it) isn't a new submission.
+    // Returns { quota, used, nextSlotAt } if the message would go over the quota, otherwise null.
+    async checkQuota(message) {
+        const quota = this.tierSettings.getQuota(message.channel.id);
+        if (!quota) return null;
+
+        const windowMs = quota.windowHours * 60 * 60 * 1000;
+        const windowStart = Date.now() - windowMs;
+        const entries = (await this.urlStore.getUrlsByUser(message.author.id)).filter(entry =>
+            entry.channelId === message.channel.id &&
+            entry.status === 'active' &&
+            (!entry.verdict || ACCEPTED_VERDICTS.includes(entry.verdict)));
+        if (entries.some(entry => entry.messageId === message.id)) return null;
+
+        const submittedAt = new Map();
+        for (const entry of entries) {
+            if (entry.timestamp < windowStart) continue;
+            submittedAt.set(entry.messageId, Math.min(entry.timestamp, submittedAt.get(entry.messageId) ?? Infinity));
+        }
+        if (submittedAt.size < quota.limit) return null;
+
+        // A slot opens once enough submissions have left the window to get below the limit
+        const times = [...submittedAt.values()].sort((a, b) => a - b);
+        return { quota, used: submittedAt.size, nextSlotAt: times[times.length - quota.limit] + windowMs };
+    }
+
+    // Whether the account a URL comes from is linked to the poster. Returns null when the tier
+    // doesn't check, the URL doesn't name an account or the poster's link is approved, and
+    // { mode, platform, handle, linkStatus } otherwise.
+    checkOwnership(message, url) {
+        const mode = this.tierSettings.getOwnershipCheck(message.channel.id);
+        if (mode === 'off') return null;
+
+        const described = this.urlStore.canonicalizer.describe(url);
+        if (!described || !described.handle) return null;
+
+        const linkStatus = this.handleRegistry.getLinkStatus(message.author.id, described.platform, described.handle);
+        if (linkStatus === 'approved') return null;
+
+        return { mode, platform: described.platform, handle: described.handle, linkStatus };
+    }
+
+    // Claims one URL for the message and works out its verdict.
+    // Returns { url, verdict, existing, entry, ageInMinutes }, or null if the store couldn't decide.
+    async checkUrl(message, url) {
+        const urlEntry = { ...createUrlRecord(message, url), verdict: 'new' };
+        const claim = await this.urlStore.claimUrl(message.channel.id, urlEntry);
+
+        if (claim.claimed) {
+            // New URL - stored as part of the claim
+            await this.handleDisplacedClaims(url, claim.displaced);
+            return { url, verdict: 'new', existing: null, entry: urlEntry };
+        }
+        if (claim.existing) {
+            // Once a moderator accepted the URL from this poster, it isn't flagged for them again.
+            // Looked up and stored under the URL's lock, like a claim.
+            const overridden = await this.urlStore.withUrlLock(this.urlStore.canonicalize(url), async () => {
+                const override = await this.findOverride(message, url);
+                if (!override) return null;
+
+                const overriddenEntry = {
+                    ...urlEntry,
+                    verdict: 'overridden',
+                    overriddenBy: override.overriddenBy,
+                    overriddenAt: override.overriddenAt
+                };
+                await this.urlStore.saveUrls(message.channel.id, [overriddenEntry]);
+                return { url, verdict: 'overridden', existing: null, entry: overriddenEntry, override };
+            });
+            if (overridden) {
+                return overridden;
+            }
+            return this.evaluateExistingUrl(message, url, claim.existing);
+        }
+        return null;
+    }
+
+    // The poster's submission of a URL that a moderator accepted, if it still holds the claim
+    async findOverride(message, url) {
+        const entries = await this.urlStore.getUrlsByCanonicalUrl(this.urlStore.canonicalize(url));
+        return entries.find(entry =>
+            entry.verdict === 'overridden' && holdsClaim(entry) && this.isSameAuthor(entry, message.author)) || null;
+    }
+
+    // A moderator accepts the submissions of a message that were refused as duplicates. With
+    // 'share' they hold the URL alongside the earlier submission; with 'transfer' the earlier
+    // submissions of other posters release it. The bot's warning is removed either way.
+    // Returns the accepted entries and the ones that released their claim.
+    async overrideSubmission(message, moderator, mode = 'share') {
+        if (!OVERRIDE_MODES.includes(mode)) {
+            throw new Error(`Unknown override mode ${mode}`);
+        }
+
+        const entries = (await this.urlStore.getUrlsByMessage(message.id))
+            .filter(entry => entry.status === 'rejected' && DUPLICATE_VERDICTS.includes(entry.verdict));
+        if (entries.length === 0) {
+            return { accepted: [], released: [] };
+        }
+
+        const overriddenAt = Date.now();
+        const released = [];
+        for (const entry of entries) {
+            await this.urlStore.withUrlLock(entry.canonicalUrl, async () => {
+                if (mode === 'transfer') {
+                    const holders = (await this.urlStore.getUrlsByCanonicalUrl(entry.canonicalUrl))
+                        .filter(holder => holdsClaim(holder) && !this.isSameAuthor(holder, message.author));
+                    await this.urlStore.updateEntries(holders.map(holder => ({
+                        messageId: holder.messageId,
+                        canonicalUrl: holder.canonicalUrl,
+                        changes: { status: 'transferred', overriddenBy: moderator.id, overriddenAt }
+                    })));
+                    released.push(...holders);
+                }
+
+                await this.urlStore.updateEntries([{
+                    messageId: entry.messageId,
+                    canonicalUrl: entry.canonicalUrl,
+                    changes: { status: 'active', verdict: 'overridden', overriddenBy: moderator.id, overriddenAt }
+                }]);
+            });
+        }
+
+        await this.removeWarning(message, entries);
+
+        const urlFields = entries.map(entry => {
+            const previous = released.filter(holder => holder.canonicalUrl === entry.canonicalUrl);
+            const lines = [entry.url, `Refused as: ${VERDICT_DISPLAY[entry.verdict].label}`];
+            if (entry.duplicateOf) {
+                lines.push(`Duplicate of message: ${entry.duplicateOf}`);
+            }
+            if (previous.length > 0) {
+                lines.push(`Released by: ${previous.map(holder => holder.userId ? `<@${holder.userId}>` : holder.author || 'Unknown').join(', ')}`);
+            }
+            return { name: VERDICT_DISPLAY.overridden.label, value: truncate(lines.join('\n'), MAX_FIELD_LENGTH) };
+        });
+        await this.sendLogToChannel('Duplicate Accepted by Moderator Override', [
+            { name: 'Moderator', value: `<@${moderator.id}> (${moderator.id})` },
+            { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+            { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+            { name: 'Ownership', value: mode === 'transfer' ? 'Transferred to sender' : 'Shared with earlier submission' },
+            ...limitFields(urlFields, MAX_EMBED_FIELDS - 4)
+        ]);
+
+        logWithTimestamp(`Moderator ${moderator.tag} (${moderator.id}) overrode ${entries.length} duplicate URLs in message ${message.id} (${mode})`, 'INFO');
+        return { accepted: entries, released };
+    }
+
+    // Remove the summary reply and the verdict reactions reportVerdicts left on a message
+    async removeWarning(message, entries) {
+        try {
+            const replies = await message.channel.messages.fetch({ after: message.id, limit: 50 });
+            for (const reply of replies.values()) {
+                if (reply.author.id === this.client.user.id && reply.reference?.messageId === message.id && reply.deletable) {
+                    await reply.delete();
+                }
+            }
+
+            const reactions = new Set(entries.map(entry => VERDICT_DISPLAY[entry.verdict].reaction).filter(Boolean));
+            for (const emoji of reactions) {
+                await message.reactions.cache.get(emoji)?.users.remove(this.client.user.id);
+            }
+        } catch (error) {
+            logWithTimestamp(`Could not remove warning from message ${message.id}: ${error.message}`, 'WARN');
+        }
+    }
+
+    // Re-check a message after an edit. URLs edited out of the message release their claim
+    // (the record is kept as superseded), URLs edited in go through the full duplicate policy.
+    async handleMessageEdit(oldMessage, message) {
+        try {
+            const entries = await this.urlStore.getUrlsByMessage(message.id);
+            const storedEntries = entries.filter(holdsClaim);
+
+            // Rejected URLs were already answered; only superseded ones count as gone
+            const previousUrls = new Set(entries
+                .filter(entry => entry.status !== 'superseded')
+                .map(entry => entry.canonicalUrl));
+            if (!oldMessage.partial && oldMessage.content) {
+                (oldMessage.content.match(this.urlRegex) || [])
+                    .forEach(url => previousUrls.add(this.urlStore.canonicalize(url)));
+            }
+
+            const currentUrls = new Map();
+            for (const url of message.content.match(this.urlRegex) || []) {
+                const canonicalUrl = this.urlStore.canonicalize(url);
+                if (!currentUrls.has(canonicalUrl)) {
+                    currentUrls.set(canonicalUrl, url);
+                }
+            }
+
+            const removedEntries = storedEntries.filter(entry => !currentUrls.has(entry.canonicalUrl));
+            if (removedEntries.length > 0) {
+                const supersededAt = Date.now();
+                await this.urlStore.updateEntries(removedEntries.map(entry => ({
+                    messageId: entry.messageId,
+                    canonicalUrl: entry.canonicalUrl,
+                    changes: { status: 'superseded', supersededAt }
+                })));
+                removedEntries.forEach(entry =>
+                    logWithTimestamp(`URL edited out of message ${message.id}, released claim: ${entry.url}`, 'INFO'));
+            }
+
+            const addedUrls = [...currentUrls]
+                .filter(([canonicalUrl]) => !previousUrls.has(canonicalUrl))
+                .map(([, url]) => url);
+            if (addedUrls.length > 0) {
+                logWithTimestamp(`URLs edited into message ${message.id}: ${addedUrls.join(', ')}`, 'INFO');
+                await this.handleUrlMessage(message, addedUrls);
+            }
+        } catch (error) {
+            logWithTimestamp(`Error handling edited message ${message.id}: ${error.message}`, 'ERROR');
+        }
+    }
+
+    // Turn the records of a deleted message into tombstones, so a later repost of the URL can be
+    // judged without fetching the original
+    async handleMessageDelete(message) {
+        try {
+            const entries = (await this.urlStore.getUrlsByMessage(message.id))
+                .filter(entry => entry.status === 'active');
+            if (entries.length === 0) return 0;
+
+            const deletedBy = await this.resolveDeletedBy(message, entries[0].userId);
+            return await this.markDeleted(entries, deletedBy);
+        } catch (error) {
+            logWithTimestamp(`Error handling deleted message ${message.id}: ${error.message}`, 'ERROR');
+            return 0;
+        }
+    }
+
+    // Only moderators (and bots) can bulk delete
+    async handleBulkDelete(messages) {
+        try {
+            const entries = [];
+            for (const messageId of messages.keys()) {
+                entries.push(...(await this.urlStore.getUrlsByMessage(messageId))
+                    .filter(entry => entry.status === 'active'));
+            }
+            if (entries.length === 0) return 0;
+
+            return await this.markDeleted(entries, 'moderator');
+        } catch (error) {
+            logWithTimestamp(`Error handling bulk deletion of ${messages.size} messages: ${error.message}`, 'ERROR');
+            return 0;
+        }
+    }
+
+    async markDeleted(entries, deletedBy) {
+        const deletedAt = Date.now();
+        const updatedCount = await this.urlStore.updateEntries(entries.map(entry => ({
+            messageId: entry.messageId,
+            canonicalUrl: entry.canonicalUrl,
+            changes: { status: 'deleted', deletedAt, deletedBy }
+        })));
+        entries.forEach(entry =>
+            logWithTimestamp(`Message ${entry.messageId} deleted by ${deletedBy}, kept tombstone for: ${entry.url}`, 'INFO'));
+        return updatedCount;
+    }
+
+    // Deleting your own message leaves no audit log entry; deleting someone else's does.
+    // So a fresh entry for this author in this channel means a moderator deleted it. Discord
+    // merges repeated deletions by one moderator of one author's messages in one channel into
+    // a single entry, raising its count but keeping its timestamp, so each entry's count is
+    // remembered and a deletion is matched to a count that went up. An older entry seen for
+    // the first time (after a restart) can't be told apart, which makes the deleter unknown.
+    async resolveDeletedBy(message, authorId) {
+        try {
+            const guild = message.guild || await this.client.guilds.fetch(message.guildId);
+            await new Promise(resolve => setTimeout(resolve, AUDIT_LOG_DELAY));
+            const auditLogs = await guild.fetchAuditLogs({ type: AuditLogEvent.MessageDelete, limit: 10 });
+
+            const accountedCounts = new Map();
+            let byModerator = false;
+            let ambiguous = false;
+            for (const entry of auditLogs.entries.values()) {
+                const count = entry.extra?.count || 1;
+                const matches = entry.targetId === authorId && entry.extra?.channel?.id === message.channelId;
+
+                let accounted = this.auditLogCounts.get(entry.id);
+                if (accounted === undefined) {
+                    const fresh = Date.now() - entry.createdTimestamp < AUDIT_LOG_WINDOW;
+                    accounted = fresh ? 0 : count;
+                    if (matches && !fresh) ambiguous = true;
+                }
+                if (matches && !byModerator && count > accounted) {
+                    byModerator = true;
+                    accounted++;
+                }
+                accountedCounts.set(entry.id, accounted);
+            }
+            this.auditLogCounts = accountedCounts;
+
+            if (byModerator) return 'moderator';
+            return ambiguous ? 'unknown' : 'author';
+        } catch (error) {
+            logWithTimestamp(`Could not check audit log for deleted message ${message.id}: ${error.message}`, 'WARN');
+            return 'unknown';
+        }
+    }
+
+    // Two messages with the same URL can be handled concurrently; the store lets the earlier one
+    // win even if the later one was stored first. The losing messages get the same treatment
+    // they would have received had they been handled second.
+    async handleDisplacedClaims(url, displaced) {
+        for (const entry of displaced) {
+            try {
+                const channel = await this.client.channels.fetch(entry.channelId).catch(() => null);
+                const displacedMessage = channel
+                    ? await channel.messages.fetch(entry.messageId).catch(() => null)
+                    : null;
+
+                if (!displacedMessage) {
+                    logWithTimestamp(`Displaced message ${entry.messageId} for ${url} no longer exists`, 'INFO');
+                    continue;
+                }
+
+                const winner = await this.urlStore.findUrlHistory(url);
+                if (winner) {
+                    const verdicts = [await this.evaluateExistingUrl(displacedMessage, url, winner)];
+                    await this.recordRejections(displacedMessage, verdicts);
+                    await this.reportVerdicts(displacedMessage, verdicts);
+                }
+            } catch (error) {
+                logWithTimestamp(`Error handling displaced claim for message ${entry.messageId}: ${error.message}`, 'ERROR');
+            }
+        }
+    }
+
+    // Applies the duplicate policy to a URL that was already submitted. Only a quick repost of
+    // your own deleted URL is accepted, in which case the URL is claimed for this message.
+    // Returns { url, verdict, existing, entry, ageInMinutes }.
+    async evaluateExistingUrl(message, url, existingUrl) {
+        // A deleted original still holds its claim, so its age is reported whoever reposts it
+        const ageInMinutes = existingUrl.status === 'deleted'
+            ? (Date.now() - existingUrl.timestamp) / (60 * 1000)
+            : undefined;
+        const result = { url, existing: existingUrl, entry: null, ageInMinutes };
+
+        logWithTimestamp(`Found existing URL: ${url} from author: ${existingUrl.author} (${existingUrl.userId || 'unknown ID'})`, 'INFO');
+
+        // Check if the original poster is the same as current author
+        if (!this.isSameAuthor(existingUrl, message.author)) {
+            // Different author - not allowed (Scenario 1)
+            return { ...result, verdict: 'other_user' };
+        }
+
+        if (existingUrl.status === 'deleted') {
+            // Same author, original message deleted - the tombstone decides, whichever thread it was in
+            if (ageInMinutes >= THRESHOLD_DUPE_AGE) {
+                return { ...result, verdict: 'own_deleted' };
+            }
+
+            // Less than threshold - treat as new URL; the old entry is kept, released by the claim
+            logWithTimestamp(`Releasing old URL entry as original message was deleted by ${existingUrl.deletedBy} and age (${ageInMinutes.toFixed(2)} min) is less than threshold: ${url}`, 'INFO');
+            const urlEntry = { ...createUrlRecord(message, url), verdict: 'reposted_after_delete' };
+            const claim = await this.urlStore.claimUrl(message.channel.id, urlEntry, { replaceTombstoneOf: existingUrl.messageId });
+            return { ...result, verdict: 'reposted_after_delete', entry: claim.claimed ? urlEntry : null };
+        }
+
+        // Same author - check if same thread
+        return { ...result, verdict: existingUrl.channelId !== message.channel.id ? 'own_other_thread' : 'own_same_thread' };
+    }
+
+    // Refused submissions are stored as well, without claiming the URL, so the decision
+    // and what it duplicated can be looked up later
+    async recordRejections(message, verdicts) {
+        const rejected = verdicts
+            .filter(({ verdict }) => !ACCEPTED_VERDICTS.includes(verdict))
+            .map(({ url, verdict, existing }) => ({
+                ...createUrlRecord(message, url),
+                status: 'rejected',
+                verdict,
+                duplicateOf: existing ? existing.messageId : null
+            }));
+
+        if (rejected.length === 0) return;
+
+        // The refusal is still acted on if it can't be recorded
+        try {
+            await this.urlStore.saveUrls(message.channel.id, rejected);
+        } catch (error) {
+            logWithTimestamp(`Could not record refused submissions of message ${message.id}: ${error.message}`, 'ERROR');
+        }
+    }
+
+    describeOriginal({ existing, ageInMinutes }) {
+        if (!existing) return null;
+        if (existing.status === 'deleted') {
+            const age = Number.isFinite(ageInMinutes) ? ` (age: ${ageInMinutes.toFixed(1)} minutes)` : '';
+            return `deleted by ${existing.deletedBy}${age}`;
+        }
+        return existing.messageUrl;
+    }
+
+    // One reply, one reaction and one log entry for all verdicts of a message,
+    // styled after the most severe one
+    async reportVerdicts(message, verdicts) {
+        if (verdicts.length === 0) return;
+
+        const worst = verdicts.reduce((current, candidate) =>
+            RECORD_VERDICTS.indexOf(candidate.verdict) > RECORD_VERDICTS.indexOf(current.verdict) ? candidate : current);
+        const display = VERDICT_DISPLAY[worst.verdict];
+        const notifyUser = !ACCEPTED_VERDICTS.includes(worst.verdict);
+        const policyReactions = [...new Set(verdicts
+            .filter(({ rule }) => rule?.action === 'react')
+            .map(({ rule }) => rule.reaction))];
+
+        if (verdicts.every(({ verdict }) => verdict === 'off_platform')) {
+            // Nothing in the message counts as a submission here; handled like a post in the wrong thread
+            const allowedPlatforms = this.tierSettings.getAllowedPlatforms(message.channel.id) || [];
+            await this.moderationActions.replyAndRemove(message, buildRemovalEmbed(
+                message,
+                "please post links from the platforms this thread accepts.\nYour message has been removed because none of its links count as a submission here.",
+                [{ name: 'Accepted in this thread:', value: allowedPlatforms.join(', ') || 'none' }]
+            ), [], { reason: 'off_platform' });
+        } else if (worst.verdict === 'over_quota') {
+            const nextSlot = Math.ceil(worst.quota.nextSlotAt / 1000);
+            await this.moderationActions.replyAndRemove(message, buildRemovalEmbed(
+                message,
+                `you've reached this thread's submission limit (${formatQuota(worst.quota.quota)}).\nYour message has been removed.`,
+                [{ name: 'Next submission slot opens:', value: `<t:${nextSlot}:f> (<t:${nextSlot}:R>)` }]
+            ), [], { reason: 'over_quota' });
+        } else if (notifyUser) {
+            const fields = verdicts.map(verdict => {
+                const original = verdict.existing && verdict.existing.status === 'deleted' ? 'deleted' : this.describeOriginal(verdict);
+                return {
+                    name: VERDICT_DISPLAY[verdict.verdict].label,
+                    value: truncate(original ? `${verdict.url}\nOriginal: ${original}` : verdict.url, MAX_FIELD_LENGTH)
+                };
+            });
+
+            const embed = new EmbedBuilder()
+                .setColor('#ff0000')
+                .setDescription(`${message.author}, ${display.description || worst.rule.message}`)
+                .addFields(...limitFields(fields, MAX_EMBED_FIELDS))
+                .setFooter({
+                    text: 'Botanix Labs',
+                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+                });
+            if (display.title) {
+                embed.setTitle(display.title);
+            }
+
+            // Send as a reply instead of a standalone message; duplicate warnings can be reported as a mistake
+            const context = { reason: worst.rule ? `${worst.verdict}, rule ${worst.rule.name}` : worst.verdict };
+            await this.moderationActions.reply(message, {
+                embeds: [embed],
+                components: DUPLICATE_VERDICTS.includes(worst.verdict)
+                    ? reportComponents('duplicate', message.author.id, message.id)
+                    : []
+            }, context);
+
+            if (worst.verdict === 'blocked') {
+                // Delete the user's message
+                await this.moderationActions.deleteMessage(message, context);
+            } else if (display.reaction) {
+                await this.moderationActions.react(message, display.reaction, context);
+            }
+        }
+
+        if (worst.verdict !== 'blocked') {
+            for (const reaction of policyReactions) {
+                await this.moderationActions.react(message, reaction, { reason: 'link policy react rule' });
+            }
+        }
+
+        if (verdicts.some(({ verdict, rule, ownership }) => verdict !== 'new' || rule || ownership)) {
+            const urlFields = verdicts.map(verdict => {
+                const lines = [verdict.url];
+                const original = this.describeOriginal(verdict);
+                if (original) {
+                    lines.push(`Original: ${original}`);
+                }
+                if (verdict.verdict === 'other_user') {
+                    const existing = verdict.existing;
+                    lines.push(`Original Poster: ${existing.userId ? `<@${existing.userId}> (${existing.userId})` : existing.author || 'Unknown'}`);
+                }
+                if (verdict.rule) {
+                    lines.push(`Link policy: ${verdict.rule.name} (${verdict.rule.action})`);
+                }
+                if (verdict.platform) {
+                    lines.push(`Platform: ${verdict.platform}`);
+                }
+                if (verdict.override) {
+                    lines.push(`Overridden by: <@${verdict.override.overriddenBy}>, ${verdict.override.messageUrl}`);
+                }
+                if (verdict.ownership) {
+                    const { platform, handle, linkStatus } = verdict.ownership;
+                    lines.push(`Account: ${platform}/${handle} (${linkStatus === 'pending' ? 'link pending approval' : 'not linked to sender'})`);
+                }
+                return { name: VERDICT_DISPLAY[verdict.verdict].label, value: truncate(lines.join('\n'), MAX_FIELD_LENGTH) };
+            });
+
+            const quotaFields = worst.quota ? [{
+                name: 'Quota',
+                value: `${formatQuota(worst.quota.quota)}, ${worst.quota.used} used, next slot <t:${Math.ceil(worst.quota.nextSlotAt / 1000)}:R>`
+            }] : [];
+
+            // Send log to designated channel
+            await this.sendLogToChannel(
+                display.logTitle || (verdicts.some(({ rule }) => rule) ? POLICY_MATCH_LOG_TITLE : OWNERSHIP_FLAG_LOG_TITLE),
+                [
+                    { name: 'Sender', value: `<@${message.author.id}> (${message.author.id})` },
+                    { name: 'Message', value: `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}` },
+                    ...limitFields(urlFields, MAX_EMBED_FIELDS - 3 - quotaFields.length),
+                    ...quotaFields,
+                    { name: 'Warning', value: !notifyUser ? 'Not sent - URL treated as new' : this.moderationActions.dryRun ? 'Not sent - dry run' : 'Sent to user' }
+                ]
+            );
+        }
+
+        logWithTimestamp(`URL verdicts for message ${message.id}: ${verdicts.map(({ url, verdict }) => `${url} (${verdict})`).join(', ')}`, 'INFO');
+    }
+
+    async fetchAllUrlsFromChannel(channelId) {
+        try {
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                logWithTimestamp(`Channel not found: ${channelId}`, 'ERROR');
+                return [];
+            }
+            
+            const urls = [];
+            
+            // Check if it's a forum channel
+            if (channel.type === ChannelType.GuildForum) {
+                const threads = await channel.threads.fetch();
+                
+                for (const [threadId, thread] of threads.threads) {
+                    const messages = await thread.messages.fetch({ limit: 100 });
+                    
+                    messages.forEach(msg => {
+                        if (msg.author.bot) return;
+                        
+                        const foundUrls = msg.content.match(this.urlRegex);
+                        if (foundUrls) {
+                            foundUrls.forEach(url => {
+                                urls.push(createUrlRecord(msg, url));
+                            });
+                        }
+                    });
+                }
+            } else {
+                // Regular channel
+                const messages = await channel.messages.fetch({ limit: 100 });
+                
+                messages.forEach(msg => {
+                    if (msg.author.bot) return;
+                    
+                    const foundUrls = msg.content.match(this.urlRegex);
+                    if (foundUrls) {
+                        foundUrls.forEach(url => {
+                            urls.push(createUrlRecord(msg, url));
+                        });
+                    }
+                });
+            }
+            
+            return urls;
+        } catch (error) {
+            logWithTimestamp(`Error fetching URLs from channel ${channelId}: ${error.message}`, 'ERROR');
+            return [];
+        }
+    }
+
+    shutdown() {
+        logWithTimestamp('URL Tracker shutting down...', 'SHUTDOWN');
+        // No cleanup needed since we're using the shared UrlStorage instance
+    }
+}
+
 module.exports = UrlTracker;
\ No newline at end of file
@@ -1,11 +1,115 @@
-function logWithTimestamp(message, type = 'INFO') {
-    const date = new Date();
-    const timestamp = date.toISOString()
-        .replace('T', ' ')
-        .replace(/\.\d+Z$/, '');
-    console.log(`[${timestamp}] [${type}] ${message}`);
-}
-
-module.exports = {
-    logWithTimestamp
+const fs = require('fs/promises');
+const path = require('path');
+
+function logWithTimestamp(message, type = 'INFO') {
+    const date = new Date();
+    const timestamp = date.toISOString()
+        .replace('T', ' ')
+        .replace(/\.\d+Z$/, '');
+    console.log(`[${timestamp}] [${type}] ${message}`);
+}
+
+async function syncDirectory(dirPath) {
+    const handle = await fs.open(dirPath, 'r').catch(() => null);
+    if (!handle) return;
+    try {
+        await handle.sync();
+    } catch {
+        // Not every platform supports fsync on directories
+    } finally {
+        await handle.close();
+    }
+}
+
+// Write a file so that readers only ever see the old or the new contents: write a temp file,
+// fsync it and rename it over the target. With backup, the replaced file is kept as <file>.bak.
+async function atomicWriteFile(filePath, data, { backup = false } = {}) {
+    const tempFile = `${filePath}.tmp`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    if (backup) {
+        const backupFile = `${filePath}.bak`;
+        const copied = await fs.copyFile(filePath, `${backupFile}.tmp`).then(() => true, () => false);
+        if (copied) {
+            await fs.rename(`${backupFile}.tmp`, backupFile);
+        }
+    }
+
+    await fs.rename(tempFile, filePath);
+    await syncDirectory(path.dirname(filePath));
+}
+
+// Append to a file and fsync before resolving
+async function appendFileDurable(filePath, data) {
+    const handle = await fs.open(filePath, 'a');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+// Read a JSON file written with atomicWriteFile(..., { backup: true }). Falls back to the
+// backup if the file is missing or corrupt, returns fallback if neither exists, and throws
+// if both exist but can't be parsed rather than pretending the data is empty.
+async function readJsonWithBackup(filePath, fallback) {
+    const { data } = await readJsonOrBackup(filePath, fallback);
+    return data;
+}
+
+// Like readJsonWithBackup, but returns { data, fromBackup } for callers that need to know
+// the backup was used
+async function readJsonOrBackup(filePath, fallback) {
+    const candidates = [filePath, `${filePath}.bak`];
+    let lastError = null;
+
+    for (const candidate of candidates) {
+        let raw;
+        try {
+            raw = await fs.readFile(candidate, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        try {
+            const data = JSON.parse(raw);
+            const fromBackup = candidate !== filePath;
+            if (fromBackup) {
+                logWithTimestamp(`Recovered ${path.basename(filePath)} from backup ${path.basename(candidate)}`, 'WARN');
+            }
+            return { data, fromBackup };
+        } catch (error) {
+            lastError = error;
+            logWithTimestamp(`Could not parse ${path.basename(candidate)}: ${error.message}`, 'ERROR');
+        }
+    }
+
+    if (lastError) {
+        throw new Error(`${path.basename(filePath)} and its backup are corrupt: ${lastError.message}`);
+    }
+    return { data: fallback, fromBackup: false };
+}
+
+// Discord snowflakes are 64-bit and sort chronologically; compare them without losing precision
+function compareSnowflakes(a, b) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+module.exports = {
+    logWithTimestamp,
+    compareSnowflakes,
+    atomicWriteFile,
+    appendFileDurable,
+    readJsonWithBackup,
+    readJsonOrBackup
 };
\ No newline at end of file
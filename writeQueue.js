@@ -0,0 +1,53 @@
+// Serializes all writes to a store. Items pushed while a flush is in progress are
+// coalesced into the next flush, so a burst of mutations costs one write instead of many.
+// Exclusive tasks (like compaction) run in the same chain and never overlap a flush.
+class WriteQueue {
+    constructor(flushFn) {
+        this.flushFn = flushFn;
+        this.pending = [];
+        this.waiters = [];
+        this.flushScheduled = false;
+        this.tail = Promise.resolve();
+    }
+
+    // Resolves once the items are written; rejects if that flush failed
+    push(items) {
+        return new Promise((resolve, reject) => {
+            this.pending.push(...items);
+            this.waiters.push({ resolve, reject });
+
+            if (!this.flushScheduled) {
+                this.flushScheduled = true;
+                this.tail = this.tail.then(() => this.flush());
+            }
+        });
+    }
+
+    async flush() {
+        this.flushScheduled = false;
+        const items = this.pending;
+        const waiters = this.waiters;
+        this.pending = [];
+        this.waiters = [];
+
+        try {
+            await this.flushFn(items);
+            waiters.forEach(waiter => waiter.resolve());
+        } catch (error) {
+            waiters.forEach(waiter => waiter.reject(error));
+        }
+    }
+
+    run(task) {
+        const result = this.tail.then(task);
+        this.tail = result.catch(() => {});
+        return result;
+    }
+
+    // Resolves when everything queued so far has been written
+    drain() {
+        return this.tail;
+    }
+}
+
+module.exports = WriteQueue;
\ No newline at end of file